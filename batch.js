@@ -0,0 +1,112 @@
+/**
+ * LLM CURL GENERATOR - Batch API Export
+ * Converts many captured conversations with shared tools and config into an OpenAI Batch API
+ * .jsonl file - one { custom_id, method, url, body } request per line (no DOM access).
+ * Loaded by index.html as a plain <script> after converter.js (exposes window.BatchExport)
+ * and by the Node scripts via require('./batch').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./converter'));
+    } else {
+        root.BatchExport = factory(root.CurlConverter);
+    }
+})(typeof self !== 'undefined' ? self : this, function (converter) {
+'use strict';
+
+const {
+    TARGETS,
+    MODEL_PLACEHOLDER,
+    formatReportEntry,
+    convertTools,
+    buildToolNameMap,
+    convertMessages,
+    generateRequestBody,
+    getModelName
+} = converter;
+
+// ============================================
+// BATCH FILE
+// ============================================
+
+/**
+ * Convert every conversation with the shared tools & config into Batch API request lines.
+ * Conversations left without messages after conversion are skipped (and listed in "skipped").
+ * Returns { requests: [{ custom_id, method, url, body }], warnings: [string], skipped: [customId] }
+ */
+function generateBatchRequests(config, conversations, inputTools = []) {
+    const target = TARGETS[config.target] || TARGETS.openai;
+    if (!target.batchUrl) {
+        throw new Error(`The Batch API export is only available for the OpenAI targets, not ${target.label}`);
+    }
+
+    // The Batch API does not stream, and every body needs a model (Azure: the batch deployment name)
+    const batchConfig = { ...config, streamEnabled: false };
+    const model = getModelName(config) || MODEL_PLACEHOLDER;
+
+    const toolsReport = [];
+    const tools = convertTools(inputTools, toolsReport);
+    const toolNameMap = buildToolNameMap(inputTools);
+    const warnings = toolsReport
+        .filter(entry => entry.level === 'warning')
+        .map(formatReportEntry);
+
+    const requests = [];
+    const skipped = [];
+    const seenIds = new Set();
+
+    for (const conversation of conversations) {
+        if (seenIds.has(conversation.customId)) {
+            throw new Error(`Duplicate custom_id "${conversation.customId}" - every conversation needs a unique id`);
+        }
+        seenIds.add(conversation.customId);
+
+        const report = [];
+        const messages = convertMessages(conversation.messages, toolNameMap, {
+            multimodal: config.multimodalEnabled,
+            unansweredToolCalls: config.unansweredToolCalls,
+            report: report
+        });
+        if (messages.length === 0) {
+            skipped.push(conversation.customId);
+            continue;
+        }
+
+        const body = generateRequestBody(batchConfig, messages, tools, report);
+        requests.push({
+            custom_id: conversation.customId,
+            method: 'POST',
+            url: target.batchUrl,
+            body: { model: body.model || model, ...body }
+        });
+
+        for (const entry of report) {
+            if (entry.level === 'warning') {
+                warnings.push(`${conversation.customId}: ${formatReportEntry(entry)}`);
+            }
+        }
+    }
+
+    return { requests, warnings, skipped };
+}
+
+/**
+ * Build the Batch API .jsonl file content (one request per line) - see generateBatchRequests
+ * Returns { content, count, warnings, skipped }
+ */
+function generateBatchFile(config, conversations, inputTools = []) {
+    const { requests, warnings, skipped } = generateBatchRequests(config, conversations, inputTools);
+    return {
+        content: requests.map(request => JSON.stringify(request)).join('\n') + (requests.length > 0 ? '\n' : ''),
+        count: requests.length,
+        warnings: warnings,
+        skipped: skipped
+    };
+}
+
+return {
+    generateBatchRequests,
+    generateBatchFile
+};
+});
@@ -0,0 +1,219 @@
+/**
+ * LLM CURL GENERATOR - Request Bundle
+ * Builds a downloadable zip with the request body as a file and scripts that send it
+ * (curl --data @body.json / Invoke-RestMethod -InFile), for bodies too large to paste (no DOM access).
+ * Loaded by index.html as a plain <script> after converter.js (exposes window.RequestBundle)
+ * and by the Node scripts via require('./bundle').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./converter'));
+    } else {
+        root.RequestBundle = factory(root.CurlConverter);
+    }
+})(typeof self !== 'undefined' ? self : this, function (converter) {
+'use strict';
+
+const {
+    DEFAULT_CONFIG,
+    TARGETS,
+    API_KEY_SENTINEL,
+    getRequestUrl,
+    getRequestHeaders,
+    getApiKeyEnv,
+    quoteShellArg,
+    quoteWithKeyEnv
+} = converter;
+
+// ============================================
+// BUNDLE FILES
+// ============================================
+
+/**
+ * Build the bundle files: body.json, request.sh, request.ps1 and an .env template.
+ * The key is read from .env - the entered key is never written to the bundle.
+ * Returns [{ name, content, executable }]
+ */
+function generateBundleFiles(config, requestBody) {
+    const envName = getApiKeyEnv(config);
+    const keyedConfig = { ...config, apiKey: API_KEY_SENTINEL };
+    const url = getRequestUrl(keyedConfig);
+    const headers = getRequestHeaders(keyedConfig);
+    const targetLabel = (TARGETS[config.target] || TARGETS.openai).label;
+    // A key sent as ?api-key= is percent-encoded into its own variable first (keys may hold + & / =)
+    const inQuery = url.includes(API_KEY_SENTINEL);
+    const queryEnvName = `${envName}_QUERY`;
+
+    const shHeaders = headers
+        .map(([name, value]) => `--header ${quoteWithKeyEnv(`${name}: ${value}`, envName, 'bash')} \\`)
+        .join('\n');
+
+    const requestSh = `#!/usr/bin/env bash
+# Sends body.json to ${targetLabel} - set ${envName} in .env first
+set -euo pipefail
+cd "$(dirname "$0")"
+set -a
+. ./.env
+set +a
+${inQuery ? `
+urlencode() {
+    local LC_ALL=C value="$1" encoded='' char i
+    for ((i = 0; i < \${#value}; i++)); do
+        char="\${value:i:1}"
+        case "$char" in
+            [A-Za-z0-9._~-]) encoded+="$char" ;;
+            *) printf -v char '%%%02X' "'$char"; encoded+="$char" ;;
+        esac
+    done
+    printf '%s' "$encoded"
+}
+${queryEnvName}="$(urlencode "$${envName}")"
+` : ''}
+curl --location ${quoteWithKeyEnv(url, inQuery ? queryEnvName : envName, 'bash')} \\
+${shHeaders}
+--data @body.json
+`;
+
+    // Invoke-RestMethod takes the content type as a parameter when sending a file
+    const psHeaders = headers
+        .filter(([name]) => name.toLowerCase() !== 'content-type')
+        .map(([name, value]) => `    ${quoteShellArg(name, 'powershell')} = ${quoteWithKeyEnv(value, envName, 'powershell')}`)
+        .join('\n');
+
+    const requestPs1 = `# Sends body.json to ${targetLabel} - set ${envName} in .env first
+Set-Location $PSScriptRoot
+Get-Content .env | Where-Object { $_ -match '^\\s*([^#=]+)=(.*)$' } | ForEach-Object {
+    Set-Item "env:$($Matches[1].Trim())" $Matches[2].Trim().Trim('"')
+}
+${inQuery ? `$env:${queryEnvName} = [uri]::EscapeDataString($env:${envName})
+` : ''}
+$headers = @{
+${psHeaders}
+}
+
+Invoke-RestMethod -Uri ${quoteWithKeyEnv(url, inQuery ? queryEnvName : envName, 'powershell')} -Method Post -Headers $headers -ContentType 'application/json; charset=utf-8' -InFile 'body.json'
+`;
+
+    const env = `# API key read by request.sh / request.ps1
+${envName}="${DEFAULT_CONFIG.apiKey}"
+`;
+
+    return [
+        { name: 'body.json', content: JSON.stringify(requestBody, null, 2) + '\n' },
+        { name: 'request.sh', content: requestSh, executable: true },
+        { name: 'request.ps1', content: requestPs1 },
+        { name: '.env', content: env }
+    ];
+}
+
+// ============================================
+// ZIP WRITER
+// ============================================
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a byte array
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n += 1) {
+            let c = n;
+            for (let k = 0; k < 8; k += 1) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i += 1) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create an uncompressed (stored) zip archive from [{ name, content, executable }]
+ * Returns a Uint8Array
+ */
+function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);      // local file header signature
+        local.setUint16(4, 20, true);              // version needed (2.0)
+        local.setUint16(6, 0x0800, true);          // flags: UTF-8 names
+        local.setUint16(8, 0, true);               // method: stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);    // compressed size
+        local.setUint32(22, data.length, true);    // uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);              // extra field length
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const mode = file.executable ? 0o100755 : 0o100644;
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);    // central directory header signature
+        central.setUint16(4, (3 << 8) | 20, true); // made by: Unix, 2.0 (keeps the file mode)
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(38, (mode << 16) >>> 0, true); // external attributes: Unix mode
+        central.setUint32(42, offset, true);       // local header offset
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);            // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
+
+/**
+ * Build the request bundle zip (see generateBundleFiles)
+ */
+function generateRequestBundle(config, requestBody) {
+    return createZip(generateBundleFiles(config, requestBody));
+}
+
+return {
+    generateBundleFiles,
+    createZip,
+    generateRequestBundle
+};
+});
@@ -0,0 +1,262 @@
+/**
+ * LLM CURL GENERATOR - API Client Exports
+ * Builds Postman (v2.1 collection + environment), Insomnia, Bruno and VS Code REST Client
+ * files from the same config and request body as the curl command (no DOM access).
+ * The API key, endpoint and Host header are variables - the request itself never holds the key.
+ * Loaded by index.html as a plain <script> after converter.js (exposes window.ClientExports)
+ * and by the Node scripts via require('./client-exports').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./converter'));
+    } else {
+        root.ClientExports = factory(root.CurlConverter);
+    }
+})(typeof self !== 'undefined' ? self : this, function (converter) {
+'use strict';
+
+const { TARGETS, API_KEY_SENTINEL, getRequestUrl, getRequestHeaders, getApiKeyEnv } = converter;
+
+const COLLECTION_NAME = 'Qi Studio Generated Request';
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Build the request with {{endpoint}}, {{apiKey}} and {{host}} variables in place of the values.
+ * ref(name) renders a variable reference in the client's syntax; envRef(envName) renders a
+ * process environment lookup, used as the apiKey value when the key comes from the environment
+ * (clients without one get an empty value to fill in).
+ * Returns { name, url, headers, variables: { endpoint, apiKey, host } }
+ */
+function getTemplatedRequest(config, ref = name => `{{${name}}}`, envRef = () => '') {
+    const target = config.target || 'openai';
+    const usesQueryKey = target === 'openai' || target === 'responses';
+    const keyedConfig = { ...config, apiKey: API_KEY_SENTINEL };
+    const withKeyRef = value => value.split(API_KEY_SENTINEL).join(ref('apiKey'));
+
+    // OpenAI targets put api-version (and api-key in query auth mode) in the query;
+    // the others have the full URL as endpoint
+    const url = usesQueryKey
+        ? withKeyRef(getRequestUrl({ ...keyedConfig, apiEndpoint: ref('endpoint') }))
+        : ref('endpoint');
+    const endpoint = usesQueryKey ? config.apiEndpoint : getRequestUrl(config);
+
+    const headers = getRequestHeaders(keyedConfig).map(([name, value]) => {
+        if (name === 'Host') return [name, ref('host')];
+        return [name, withKeyRef(value)];
+    });
+
+    return {
+        name: (TARGETS[target] || TARGETS.openai).label,
+        url: url,
+        headers: headers,
+        variables: {
+            endpoint: endpoint || '',
+            apiKey: config.apiKeyFromEnv ? envRef(getApiKeyEnv(config)) : config.apiKey || '',
+            host: config.hostHeader || ''
+        }
+    };
+}
+
+// ============================================
+// POSTMAN
+// ============================================
+
+/**
+ * Generate a Postman v2.1 collection (pair with generatePostmanEnvironment)
+ */
+function generatePostmanCollection(config, requestBody) {
+    const request = getTemplatedRequest(config);
+    const [base, query] = request.url.split('?');
+
+    const url = { raw: request.url, host: [base] };
+    if (query) {
+        url.query = query.split('&').map(param => {
+            const eq = param.indexOf('=');
+            return { key: param.slice(0, eq), value: param.slice(eq + 1) };
+        });
+    }
+
+    return {
+        info: {
+            name: COLLECTION_NAME,
+            schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+        },
+        item: [{
+            name: request.name,
+            request: {
+                method: 'POST',
+                header: request.headers.map(([key, value]) => ({ key: key, value: value })),
+                body: {
+                    mode: 'raw',
+                    raw: JSON.stringify(requestBody, null, 2),
+                    options: { raw: { language: 'json' } }
+                },
+                url: url
+            }
+        }]
+    };
+}
+
+/**
+ * Generate a Postman environment holding the apiKey, endpoint and host variables
+ */
+function generatePostmanEnvironment(config) {
+    const { variables } = getTemplatedRequest(config);
+    return {
+        name: `${COLLECTION_NAME} Environment`,
+        values: [
+            { key: 'apiKey', value: variables.apiKey, type: 'secret', enabled: true },
+            { key: 'endpoint', value: variables.endpoint, type: 'default', enabled: true },
+            { key: 'host', value: variables.host, type: 'default', enabled: true }
+        ],
+        _postman_variable_scope: 'environment'
+    };
+}
+
+// ============================================
+// INSOMNIA
+// ============================================
+
+/**
+ * Generate an Insomnia (v4 export format) workspace with a base environment and the request
+ */
+function generateInsomniaExport(config, requestBody) {
+    const request = getTemplatedRequest(config, name => `{{ _.${name} }}`);
+    return {
+        _type: 'export',
+        __export_format: 4,
+        __export_source: 'llm-curl-generator',
+        resources: [
+            {
+                _id: 'wrk_llm_curl',
+                _type: 'workspace',
+                parentId: null,
+                name: COLLECTION_NAME
+            },
+            {
+                _id: 'env_llm_curl',
+                _type: 'environment',
+                parentId: 'wrk_llm_curl',
+                name: 'Base Environment',
+                data: request.variables
+            },
+            {
+                _id: 'req_llm_curl',
+                _type: 'request',
+                parentId: 'wrk_llm_curl',
+                name: request.name,
+                method: 'POST',
+                url: request.url,
+                headers: request.headers.map(([name, value]) => ({ name: name, value: value })),
+                body: {
+                    mimeType: 'application/json',
+                    text: JSON.stringify(requestBody, null, 2)
+                }
+            }
+        ]
+    };
+}
+
+// ============================================
+// BRUNO / REST CLIENT
+// ============================================
+
+/**
+ * Generate a Bruno .bru request file (variables in a vars:pre-request block)
+ */
+function generateBrunoRequest(config, requestBody) {
+    const request = getTemplatedRequest(config, undefined, envName => `{{process.env.${envName}}}`);
+    const indent = (text, pad) => text.split('\n').map(line => pad + line).join('\n');
+    const headerLines = request.headers.map(([name, value]) => `  ${name}: ${value}`).join('\n');
+    const varLines = Object.entries(request.variables).map(([name, value]) => `  ${name}: ${value}`).join('\n');
+
+    return `meta {
+  name: ${request.name}
+  type: http
+  seq: 1
+}
+
+post {
+  url: ${request.url}
+  body: json
+  auth: none
+}
+
+headers {
+${headerLines}
+}
+
+body:json {
+${indent(JSON.stringify(requestBody, null, 2), '  ')}
+}
+
+vars:pre-request {
+${varLines}
+}
+`;
+}
+
+/**
+ * Generate a VS Code REST Client .http file (file variables at the top)
+ */
+function generateHttpFile(config, requestBody) {
+    const request = getTemplatedRequest(config, undefined, envName => `{{$processEnv ${envName}}}`);
+    const varLines = Object.entries(request.variables).map(([name, value]) => `@${name} = ${value}`).join('\n');
+    const headerLines = request.headers.map(([name, value]) => `${name}: ${value}`).join('\n');
+
+    return `${varLines}
+
+### ${request.name}
+POST ${request.url}
+${headerLines}
+
+${JSON.stringify(requestBody, null, 2)}
+`;
+}
+
+/**
+ * Every export as a downloadable file: { format: { name, content, type } }
+ */
+function generateClientExports(config, requestBody) {
+    return {
+        postman: {
+            name: 'request.postman_collection.json',
+            content: JSON.stringify(generatePostmanCollection(config, requestBody), null, 2),
+            type: 'application/json'
+        },
+        'postman-env': {
+            name: 'request.postman_environment.json',
+            content: JSON.stringify(generatePostmanEnvironment(config), null, 2),
+            type: 'application/json'
+        },
+        insomnia: {
+            name: 'request.insomnia.json',
+            content: JSON.stringify(generateInsomniaExport(config, requestBody), null, 2),
+            type: 'application/json'
+        },
+        bruno: {
+            name: 'request.bru',
+            content: generateBrunoRequest(config, requestBody),
+            type: 'text/plain'
+        },
+        http: {
+            name: 'request.http',
+            content: generateHttpFile(config, requestBody),
+            type: 'text/plain'
+        }
+    };
+}
+
+return {
+    generatePostmanCollection,
+    generatePostmanEnvironment,
+    generateInsomniaExport,
+    generateBrunoRequest,
+    generateHttpFile,
+    generateClientExports
+};
+});
@@ -0,0 +1,422 @@
+/**
+ * LLM CURL GENERATOR - Command Parser
+ * Parses a curl (bash / zsh / cmd.exe) command or PowerShell Invoke-RestMethod block back into
+ * config fields, messages and tools (no DOM access).
+ * Loaded by index.html as a plain <script> (exposes window.CommandParser)
+ * and by the Node scripts via require('./command-parser').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CommandParser = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// curl options that take a value we don't need (skip the value too)
+const CURL_OPTIONS_WITH_VALUE = new Set([
+    '-u', '--user', '-o', '--output', '-m', '--max-time', '--connect-timeout',
+    '-A', '--user-agent', '-e', '--referer', '-b', '--cookie', '--cacert', '--cert', '--key',
+    '-x', '--proxy', '--retry', '-w', '--write-out', '--resolve'
+]);
+
+const CURL_DATA_OPTIONS = new Set([
+    '-d', '--data', '--data-raw', '--data-binary', '--data-ascii', '--json'
+]);
+
+// ============================================
+// TOKENIZER
+// ============================================
+
+/**
+ * Split a shell command into words.
+ * Handles 'single', "double" and $'ansi-c' quotes, backslash escapes,
+ * bash "\" and cmd.exe "^" line continuations.
+ */
+function tokenizeShell(command) {
+    const tokens = [];
+    let current = '';
+    let inToken = false;
+    let i = 0;
+
+    const text = command
+        .replace(/\\\r?\n/g, ' ')
+        .replace(/\^\r?\n/g, ' ');
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            if (inToken) {
+                tokens.push(current);
+                current = '';
+                inToken = false;
+            }
+            i += 1;
+            continue;
+        }
+
+        inToken = true;
+
+        if (ch === "'") {
+            const end = text.indexOf("'", i + 1);
+            if (end === -1) throw new Error('Unterminated single quote in command');
+            current += text.slice(i + 1, end);
+            i = end + 1;
+        } else if (ch === '$' && text[i + 1] === "'") {
+            i += 2;
+            while (i < text.length && text[i] !== "'") {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    const next = text[i + 1];
+                    current += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+                    i += 2;
+                } else {
+                    current += text[i];
+                    i += 1;
+                }
+            }
+            if (i >= text.length) throw new Error('Unterminated $\'...\' quote in command');
+            i += 1;
+        } else if (ch === '"') {
+            i += 1;
+            while (i < text.length && text[i] !== '"') {
+                // Inside double quotes only \" \\ \$ \` are escapes
+                if (text[i] === '\\' && '"\\$`'.includes(text[i + 1])) {
+                    current += text[i + 1];
+                    i += 2;
+                } else {
+                    current += text[i];
+                    i += 1;
+                }
+            }
+            if (i >= text.length) throw new Error('Unterminated double quote in command');
+            i += 1;
+        } else if (ch === '\\' && i + 1 < text.length) {
+            current += text[i + 1];
+            i += 2;
+        } else {
+            current += ch;
+            i += 1;
+        }
+    }
+
+    if (inToken) tokens.push(current);
+    return tokens;
+}
+
+/**
+ * Split a cmd.exe command into the words the program receives:
+ * cmd.exe strips "^" escapes outside double quotes (and "^" line continuations),
+ * then the program splits its command line with the MSVCRT rules
+ * (backslashes only escape a following double quote)
+ */
+function tokenizeCmd(command) {
+    // cmd.exe phase
+    let line = '';
+    let inQuote = false;
+    for (let i = 0; i < command.length; i += 1) {
+        const ch = command[i];
+        if (ch === '"') {
+            inQuote = !inQuote;
+            line += ch;
+        } else if (ch === '^' && !inQuote && i + 1 < command.length) {
+            if (command[i + 1] === '\n') {
+                i += 1;
+            } else if (command[i + 1] === '\r' && command[i + 2] === '\n') {
+                i += 2;
+            } else {
+                line += command[i + 1];
+                i += 1;
+            }
+        } else if (ch === '\r' || ch === '\n') {
+            line += ' ';
+        } else {
+            line += ch;
+        }
+    }
+
+    // MSVCRT argv phase
+    const tokens = [];
+    let current = '';
+    let inToken = false;
+    inQuote = false;
+    for (let i = 0; i < line.length; i += 1) {
+        const ch = line[i];
+        if (ch === '\\') {
+            let count = 0;
+            while (line[i] === '\\') {
+                count += 1;
+                i += 1;
+            }
+            if (line[i] === '"') {
+                current += '\\'.repeat(Math.floor(count / 2));
+                if (count % 2 === 1) {
+                    current += '"';
+                } else {
+                    inQuote = !inQuote;
+                }
+            } else {
+                current += '\\'.repeat(count);
+                i -= 1;
+            }
+            inToken = true;
+        } else if (ch === '"') {
+            if (inQuote && line[i + 1] === '"') {
+                current += '"';
+                i += 1;
+            } else {
+                inQuote = !inQuote;
+            }
+            inToken = true;
+        } else if (/\s/.test(ch) && !inQuote) {
+            if (inToken) {
+                tokens.push(current);
+                current = '';
+                inToken = false;
+            }
+        } else {
+            current += ch;
+            inToken = true;
+        }
+    }
+    if (inQuote) throw new Error('Unterminated double quote in command');
+    if (inToken) tokens.push(current);
+    return tokens;
+}
+
+/**
+ * Check if a curl command was written for cmd.exe ("^" line continuations or ^"-escaped quotes)
+ */
+function isCmdCommand(command) {
+    return /\^\r?\n/.test(command) || /^curl(\.exe)?\s+\^"/i.test(command);
+}
+
+// ============================================
+// PARSERS
+// ============================================
+
+/**
+ * Parse a curl command into { url, headers, body }
+ */
+function parseCurlCommand(command) {
+    const text = command.trim();
+    const tokens = isCmdCommand(text) ? tokenizeCmd(text) : tokenizeShell(text);
+    if (tokens.length === 0 || !/^curl(\.exe)?$/i.test(tokens[0])) {
+        throw new Error('Not a curl command');
+    }
+
+    let url = '';
+    const headers = {};
+    let body = null;
+
+    for (let i = 1; i < tokens.length; i += 1) {
+        const token = tokens[i];
+        let option = token;
+        let value = null;
+
+        // --option=value form
+        const eqMatch = token.match(/^(--[\w-]+)=(.*)$/s);
+        if (eqMatch) {
+            option = eqMatch[1];
+            value = eqMatch[2];
+        }
+        const takeValue = () => (value !== null ? value : tokens[++i]);
+
+        if (option === '-H' || option === '--header') {
+            const header = takeValue() || '';
+            const colon = header.indexOf(':');
+            if (colon > 0) {
+                headers[header.slice(0, colon).trim().toLowerCase()] = header.slice(colon + 1).trim();
+            }
+        } else if (CURL_DATA_OPTIONS.has(option)) {
+            const data = takeValue() || '';
+            if (data.startsWith('@')) {
+                throw new Error(`Body is read from a file (${data}) - paste the command with the body inline`);
+            }
+            body = body === null ? data : body + '&' + data;
+        } else if (option === '--url') {
+            url = takeValue();
+        } else if (option === '-X' || option === '--request') {
+            takeValue();
+        } else if (CURL_OPTIONS_WITH_VALUE.has(option)) {
+            takeValue();
+        } else if (!option.startsWith('-') && !url) {
+            url = option;
+        }
+    }
+
+    if (!url) throw new Error('No URL found in curl command');
+    return { url, headers, body };
+}
+
+/**
+ * Undo PowerShell single-quote escaping ('' → ')
+ */
+function unquotePowerShell(text) {
+    return text.replace(/''/g, "'");
+}
+
+/**
+ * Parse a PowerShell Invoke-RestMethod / Invoke-WebRequest block into { url, headers, body }
+ */
+function parsePowerShellCommand(command) {
+    // -Uri argument, or the $uri variable of the streaming (HttpClient) variant
+    const uriMatch = command.match(/(?:-Uri\s+|\$uri\s*=\s*)(?:"([^"]*)"|'((?:[^']|'')*)'|(\S+))/i);
+    if (!uriMatch) throw new Error('No -Uri found in PowerShell command');
+    const url = uriMatch[2] !== undefined ? unquotePowerShell(uriMatch[2]) : uriMatch[1] || uriMatch[3];
+
+    // Header hashtables: $headers = @{ ... } or -Headers @{ ... }
+    const headers = {};
+    const hashtableRegex = /@\{([\s\S]*?)\}/g;
+    let hashtable;
+    while ((hashtable = hashtableRegex.exec(command)) !== null) {
+        const pairRegex = /["']?([\w-]+)["']?\s*=\s*(?:"([^"]*)"|'((?:[^']|'')*)')/g;
+        let pair;
+        while ((pair = pairRegex.exec(hashtable[1])) !== null) {
+            headers[pair[1].toLowerCase()] = pair[2] !== undefined ? pair[2] : unquotePowerShell(pair[3]);
+        }
+    }
+
+    // Body: here-string, or inline -Body '...'
+    let body = null;
+    const hereString = command.match(/@'\r?\n([\s\S]*?)\r?\n'@/) || command.match(/@"\r?\n([\s\S]*?)\r?\n"@/);
+    if (hereString) {
+        body = hereString[1];
+    } else {
+        const inlineBody = command.match(/-Body\s+'((?:[^']|'')*)'/i);
+        if (inlineBody) body = unquotePowerShell(inlineBody[1]);
+    }
+
+    return { url, headers, body };
+}
+
+/**
+ * Whether a command is a PowerShell block (Invoke-RestMethod / Invoke-WebRequest, or the
+ * HttpClient streaming variant) rather than curl
+ */
+function isPowerShellCommand(command) {
+    return /Invoke-(RestMethod|WebRequest)|Net\.Http\.HttpClient/i.test(command);
+}
+
+/**
+ * Parse a pasted curl or PowerShell command into form values:
+ * { config, messages, tools } where config holds only the fields found in the command
+ */
+function parseCommand(command) {
+    const text = (command || '').trim();
+    if (!text) throw new Error('Paste a curl or PowerShell command first');
+
+    const parsed = isPowerShellCommand(text) ? parsePowerShellCommand(text) : parseCurlCommand(text);
+
+    if (parsed.headers['anthropic-version'] || parsed.headers['x-goog-api-key']) {
+        throw new Error('Only OpenAI Chat Completions requests can be imported');
+    }
+    if (!parsed.body) throw new Error('No request body found in command');
+
+    let body;
+    try {
+        body = JSON.parse(parsed.body);
+    } catch (e) {
+        throw new Error('Request body is not valid JSON: ' + e.message);
+    }
+    if (!body || !Array.isArray(body.messages)) {
+        throw new Error('Only OpenAI Chat Completions requests (with a "messages" array) can be imported');
+    }
+
+    const config = {};
+
+    // URL: split api-version / api-key out of the query string, keep everything else
+    const [baseUrl, query = ''] = parsed.url.split('?');
+    const keptParams = [];
+    for (const param of query.split('&').filter(Boolean)) {
+        const eq = param.indexOf('=');
+        const name = eq === -1 ? param : param.slice(0, eq);
+        const value = eq === -1 ? '' : decodeURIComponent(param.slice(eq + 1));
+        if (name === 'api-version') {
+            config.apiVersion = value;
+        } else if (name === 'api-key') {
+            config.apiKey = value;
+            config.authMode = 'query';
+        } else {
+            keptParams.push(param);
+        }
+    }
+    config.apiEndpoint = keptParams.length > 0 ? `${baseUrl}?${keptParams.join('&')}` : baseUrl;
+
+    // Headers
+    if (parsed.headers.host) config.hostHeader = parsed.headers.host;
+    if (parsed.headers['api-key']) {
+        config.apiKey = parsed.headers['api-key'];
+        config.authMode = 'header';
+    }
+    const bearer = (parsed.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (bearer) {
+        config.apiKey = bearer[1];
+        config.authMode = 'bearer';
+    }
+
+    // Sampling parameters
+    if (typeof body.temperature === 'number') config.temperature = body.temperature;
+    if (typeof body.top_p === 'number') config.topP = body.top_p;
+    if (typeof body.frequency_penalty === 'number') config.frequencyPenalty = body.frequency_penalty;
+    if (typeof body.presence_penalty === 'number') config.presencePenalty = body.presence_penalty;
+    const maxTokens = body.max_completion_tokens !== undefined ? body.max_completion_tokens : body.max_tokens;
+    if (typeof maxTokens === 'number') config.maxOutputTokens = maxTokens;
+    if (typeof body.tool_choice === 'string') config.toolChoice = body.tool_choice;
+    config.streamEnabled = body.stream === true;
+
+    config.reasoningEnabled = Boolean(body.reasoning_effort);
+    config.reasoningEffort = body.reasoning_effort || null;
+
+    const jsonSchema = body.response_format && body.response_format.json_schema;
+    config.structuredOutputEnabled = Boolean(jsonSchema && jsonSchema.schema);
+    config.structuredOutputSchema = config.structuredOutputEnabled ? jsonSchema.schema : null;
+
+    config.multimodalEnabled = body.messages.some(msg =>
+        Array.isArray(msg.content) && msg.content.some(part => part.type !== 'text')
+    );
+
+    return {
+        config: config,
+        messages: body.messages,
+        tools: Array.isArray(body.tools) ? body.tools : []
+    };
+}
+
+/**
+ * Self-consistency check: parse a generated curl / PowerShell command back with this module's
+ * shell tokenizers and compare the body with the request body. It catches generator / parser
+ * disagreements, not quoting a real shell reads differently (the smoke test runs bash for that).
+ * Returns null when they match, otherwise the reason they don't
+ */
+function checkCommandConsistency(command, requestBody) {
+    let parsed;
+    try {
+        parsed = isPowerShellCommand(command)
+            ? parsePowerShellCommand(command)
+            : parseCurlCommand(command);
+    } catch (e) {
+        return e.message;
+    }
+    if (parsed.body === null) return 'No request body found in command';
+
+    let body;
+    try {
+        body = JSON.parse(parsed.body);
+    } catch (e) {
+        return 'Request body is not valid JSON: ' + e.message;
+    }
+    return JSON.stringify(body) === JSON.stringify(requestBody) ? null : 'Request body differs from the generated body';
+}
+
+return {
+    tokenizeShell,
+    tokenizeCmd,
+    parseCurlCommand,
+    parsePowerShellCommand,
+    parseCommand,
+    checkCommandConsistency
+};
+});
@@ -0,0 +1,1685 @@
+/**
+ * LLM CURL GENERATOR - Converter
+ * Shared conversion & generation logic (no DOM access).
+ * Loaded by index.html as a plain <script> (exposes window.CurlConverter)
+ * and by the Node scripts via require('./converter').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CurlConverter = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// ============================================
+// DEFAULTS
+// ============================================
+
+/**
+ * Default request configuration (same fields as getConfig() in script.js)
+ */
+const DEFAULT_CONFIG = {
+    target: 'openai',
+    model: '',
+    apiEndpoint: '',
+    apiVersion: '2024-02-01',
+    apiKey: '<Your openai key>',
+    authMode: 'query',
+    apiKeyFromEnv: false,
+    hostHeader: 'api.openai.com',
+    temperature: 0.1,
+    topP: 0.1,
+    toolChoice: 'auto',
+    frequencyPenalty: 0,
+    presencePenalty: 0,
+    maxOutputTokens: 1000,
+    streamEnabled: false,
+    reasoningEnabled: false,
+    reasoningEffort: null,
+    structuredOutputEnabled: false,
+    structuredOutputSchema: null,
+    multimodalEnabled: false,
+    unansweredToolCalls: 'stub'
+};
+
+/**
+ * Output targets (API shapes the converted conversation can be sent as)
+ */
+const TARGETS = {
+    openai: {
+        label: 'OpenAI Chat Completions',
+        apiKeyEnv: 'OPENAI_API_KEY',
+        batchUrl: '/v1/chat/completions'
+    },
+    responses: {
+        label: 'OpenAI Responses',
+        apiKeyEnv: 'OPENAI_API_KEY',
+        batchUrl: '/v1/responses',
+        defaultModel: 'gpt-5.2'
+    },
+    anthropic: {
+        label: 'Anthropic Messages',
+        apiKeyEnv: 'ANTHROPIC_API_KEY',
+        defaultEndpoint: 'https://api.anthropic.com/v1/messages',
+        defaultModel: 'claude-sonnet-4-5',
+        apiVersion: '2023-06-01'
+    },
+    gemini: {
+        label: 'Google Gemini generateContent',
+        apiKeyEnv: 'GEMINI_API_KEY',
+        defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+        defaultModel: 'gemini-2.5-pro'
+    }
+};
+
+// Azure-style deployment endpoint: {base}/openai/deployments/{deployment}/chat/completions
+const AZURE_DEPLOYMENT_PATTERN = /^(.*)\/openai\/deployments\/([^/]+)\/(chat\/completions|responses)\/?$/;
+
+// Model name used where a request needs one but neither the config nor the endpoint has it
+const MODEL_PLACEHOLDER = '<Your model>';
+
+/**
+ * Where the OpenAI targets send the API key (Anthropic / Gemini always use their own key header)
+ */
+const AUTH_MODES = {
+    query: { label: '?api-key= query' },
+    header: { label: 'api-key header' },
+    bearer: { label: 'Authorization: Bearer' }
+};
+
+/**
+ * Thinking token budget per reasoning effort (Anthropic thinking / Gemini thinkingConfig)
+ */
+const THINKING_BUDGETS = {
+    low: 1024,
+    medium: 4096,
+    high: 8192,
+    xhigh: 16384
+};
+
+/**
+ * String/number formats Gemini's schema subset accepts, per type
+ */
+const GEMINI_SCHEMA_FORMATS = {
+    string: ['enum', 'date-time'],
+    integer: ['int32', 'int64'],
+    number: ['float', 'double']
+};
+
+// ============================================
+// INPUT DETECTION
+// ============================================
+
+/**
+ * Check if the JSON is an agent node from Qi Studio
+ */
+function isAgentNodeJson(obj) {
+    if (!obj || typeof obj !== 'object') return false;
+    // Agent node has type: "agent" and config.tools
+    return obj.type === 'agent' && obj.config && Array.isArray(obj.config.tools);
+}
+
+/**
+ * The tools array from parsed Tools input - a plain array or an agent node's config.tools
+ * Throws when the input is neither
+ */
+function getInputToolsArray(parsed) {
+    if (Array.isArray(parsed)) return parsed;
+    if (isAgentNodeJson(parsed)) return parsed.config.tools;
+    throw new Error('Tools input must be a JSON array or an agent node');
+}
+
+/**
+ * Check whether an item is a { messages: [...] } conversation object
+ */
+function isConversationObject(item) {
+    return Boolean(item) && typeof item === 'object' && !Array.isArray(item) && Array.isArray(item.messages);
+}
+
+/**
+ * Split one parsed input into conversations: [{ customId, messages }]
+ * Accepts a messages array, a { messages } object, or an array of either
+ * (message arrays / { messages, custom_id } objects). Ids default to "{source}-{n}".
+ */
+function parseConversations(parsed, source = 'request') {
+    if (isConversationObject(parsed)) {
+        return [{ customId: String(parsed.custom_id || parsed.id || source), messages: parsed.messages }];
+    }
+    if (!Array.isArray(parsed)) {
+        throw new Error(`${source}: expected a messages array or an array of conversations`);
+    }
+
+    const isList = parsed.length > 0 && parsed.every(item => Array.isArray(item) || isConversationObject(item));
+    if (!isList) {
+        return [{ customId: source, messages: parsed }];
+    }
+
+    return parsed.map((item, index) => {
+        const fallbackId = `${source}-${index + 1}`;
+        return Array.isArray(item)
+            ? { customId: fallbackId, messages: item }
+            : { customId: String(item.custom_id || item.id || fallbackId), messages: item.messages };
+    });
+}
+
+// ============================================
+// CONVERSION REPORT
+// ============================================
+
+/**
+ * Record one transformation in a conversion report (no-op without a report array).
+ * Entry: { stage, index, action, level, message }
+ * - stage: "tools" | "messages" | "structured_output"
+ * - index: position in the input tools / messages array (null when not applicable)
+ * - level: "warning" (content changed or lost) or "info"
+ */
+function addReportEntry(report, stage, index, action, level, message) {
+    if (!report) return;
+    report.push({ stage: stage, index: index, action: action, level: level, message: message });
+}
+
+const REPORT_STAGE_LABELS = {
+    tools: 'Tool',
+    messages: 'Message',
+    structured_output: 'Structured output'
+};
+
+/**
+ * Format a report entry as one line, e.g. "Message 3: Empty user message skipped"
+ */
+function formatReportEntry(entry) {
+    const label = REPORT_STAGE_LABELS[entry.stage] || entry.stage;
+    const location = entry.index === null || entry.index === undefined ? label : `${label} ${entry.index}`;
+    return `${location}: ${entry.message}`;
+}
+
+// ============================================
+// CONVERTERS
+// ============================================
+
+/**
+ * Convert tools from Qi Studio format to OpenAI format
+ * 
+ * Qi Studio format:
+ * {
+ *   "_id": "...",
+ *   "name": "handoff_to_node",
+ *   "description": "...",
+ *   "type": "tool",                    // <-- Wrong for OpenAI
+ *   "config": { "schema": {...} },     // <-- Parameters are here
+ *   "alias": "actual_function_name"    // <-- Use this as function name
+ * }
+ * 
+ * OpenAI format:
+ * {
+ *   "type": "function",
+ *   "function": {
+ *     "name": "actual_function_name",
+ *     "description": "...",
+ *     "parameters": {...}
+ *   }
+ * }
+ */
+function convertTools(inputTools, report) {
+    let toolIndex = 0;
+
+    const normalizeSchema = (schemaNode, path = 'parameters') => {
+        if (!schemaNode || typeof schemaNode !== 'object') {
+            return schemaNode;
+        }
+
+        const normalized = { ...schemaNode };
+
+        if (normalized.type === 'object') {
+            const props = normalized.properties && typeof normalized.properties === 'object'
+                ? normalized.properties
+                : {};
+            const propKeys = Object.keys(props);
+
+            // Guardrail: object schema with no properties and additionalProperties=false
+            // rejects every real object payload (common source of tool schema failures).
+            if (propKeys.length === 0 && normalized.additionalProperties === false) {
+                normalized.additionalProperties = true;
+                addReportEntry(report, 'tools', toolIndex, 'relaxed_additional_properties', 'warning',
+                    `${path}: object with no properties had additionalProperties=false - set to true`);
+            }
+
+            const normalizedProps = {};
+            for (const key of propKeys) {
+                normalizedProps[key] = normalizeSchema(props[key], `${path}.${key}`);
+            }
+            normalized.properties = normalizedProps;
+        }
+
+        if (normalized.type === 'array' && normalized.items) {
+            normalized.items = normalizeSchema(normalized.items, `${path}[]`);
+        }
+
+        return normalized;
+    };
+
+    return inputTools.map((tool, idx) => {
+        toolIndex = idx;
+
+        // Check if already in OpenAI format (type === "function" and has function object)
+        if (tool.type === 'function' && tool.function) {
+            return tool;
+        }
+        
+        // Convert from Qi Studio format
+        const functionName = tool.alias || tool.name || 'unknown_function';
+        const description = tool.description || '';
+        
+        if (tool.alias && tool.name && tool.alias !== tool.name) {
+            addReportEntry(report, 'tools', idx, 'renamed_tool', 'info',
+                `Tool "${tool.name}" exported under its alias "${tool.alias}"`);
+        } else if (!tool.alias && !tool.name) {
+            addReportEntry(report, 'tools', idx, 'renamed_tool', 'warning',
+                'Tool has no alias or name - exported as "unknown_function"');
+        }
+        
+        // Extract parameters from config.schema or use empty object
+        let parameters = { type: 'object', properties: {}, required: [] };
+        if (tool.config && tool.config.schema) {
+            parameters = normalizeSchema(tool.config.schema);
+        } else if (tool.function && tool.function.parameters) {
+            parameters = normalizeSchema(tool.function.parameters);
+        }
+        
+        return {
+            type: 'function',
+            function: {
+                name: functionName,
+                description: description,
+                parameters: parameters
+            }
+        };
+    });
+}
+
+/**
+ * Build a tool-name resolver map.
+ * Maps both internal tool names and aliases to the final OpenAI function name.
+ */
+function buildToolNameMap(inputTools) {
+    const map = {};
+
+    for (const tool of inputTools) {
+        // Already OpenAI format
+        if (tool.type === 'function' && tool.function && tool.function.name) {
+            map[tool.function.name] = tool.function.name;
+            continue;
+        }
+
+        const finalName = tool.alias || tool.name || 'unknown_function';
+        if (tool.name) {
+            map[tool.name] = finalName;
+        }
+        if (tool.alias) {
+            map[tool.alias] = finalName;
+        }
+    }
+
+    return map;
+}
+
+/**
+ * Split a data: URL into its mime type and base64 payload
+ */
+function parseDataUrl(url) {
+    const match = /^data:([^;,]*)(?:;[^,]*)?,(.*)$/s.exec(url || '');
+    return match ? { mimeType: match[1] || 'application/octet-stream', data: match[2] } : null;
+}
+
+/**
+ * Convert one content part (OpenAI, Qi Studio or LangChain style) to an OpenAI content part.
+ * Returns { part } on success, { part: null } for parts to skip silently (empty text)
+ * or { reason } when the part cannot be represented.
+ *
+ * Qi Studio / LangChain image & attachment parts look like:
+ *   { type: "image" | "audio" | "file" | "attachment" | "document",
+ *     url | data | source: { url | data, media_type }, mime_type, filename }
+ */
+function toOpenAIContentPart(item) {
+    if (!item || typeof item !== 'object') {
+        return { reason: 'content part is not an object' };
+    }
+    const type = item.type;
+
+    if (type === 'text') {
+        return { part: item.text ? { type: 'text', text: item.text } : null };
+    }
+
+    // Already OpenAI content parts
+    if (type === 'image_url') {
+        const url = typeof item.image_url === 'string' ? item.image_url : item.image_url && item.image_url.url;
+        if (!url) return { reason: 'image_url part has no url' };
+        const imageUrl = { url: url };
+        if (item.image_url.detail) imageUrl.detail = item.image_url.detail;
+        return { part: { type: 'image_url', image_url: imageUrl } };
+    }
+    if (type === 'input_audio') {
+        if (!item.input_audio || !item.input_audio.data) return { reason: 'input_audio part has no data' };
+        return { part: { type: 'input_audio', input_audio: item.input_audio } };
+    }
+    if (type === 'file' && item.file) {
+        if (!item.file.file_data && !item.file.file_id) return { reason: 'file part has no file_data or file_id' };
+        return { part: { type: 'file', file: item.file } };
+    }
+
+    // Qi Studio / LangChain image, audio and attachment parts
+    const source = item.source || {};
+    const url = item.url || source.url || (typeof item.image === 'string' ? item.image : '');
+    const data = item.data || item.base64 || source.data;
+    const mimeType = item.mime_type || item.mimeType || item.media_type || source.media_type ||
+        (parseDataUrl(url) || {}).mimeType || '';
+    const filename = item.filename || item.name || item.file_name;
+    const dataUrl = url && url.startsWith('data:')
+        ? url
+        : data ? `data:${mimeType || 'application/octet-stream'};base64,${data}` : null;
+
+    let kind = null;
+    if (type === 'image' || mimeType.startsWith('image/')) {
+        kind = 'image';
+    } else if (type === 'audio' || mimeType.startsWith('audio/')) {
+        kind = 'audio';
+    } else if (['file', 'attachment', 'document'].includes(type)) {
+        kind = 'file';
+    }
+
+    if (kind === 'image') {
+        if (!url && !dataUrl) return { reason: `${type} part has no url or data` };
+        return { part: { type: 'image_url', image_url: { url: dataUrl || url } } };
+    }
+
+    if (kind === 'audio') {
+        const parsed = parseDataUrl(dataUrl);
+        if (!parsed) return { reason: 'audio by URL cannot be sent (input_audio needs base64 data)' };
+        const format = { 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/mpeg': 'mp3', 'audio/mp3': 'mp3' }[parsed.mimeType];
+        if (!format) return { reason: `audio format "${parsed.mimeType}" is not supported (wav or mp3 only)` };
+        return { part: { type: 'input_audio', input_audio: { data: parsed.data, format: format } } };
+    }
+
+    if (kind === 'file') {
+        if (item.file_id) {
+            return { part: { type: 'file', file: { file_id: item.file_id } } };
+        }
+        if (!dataUrl) return { reason: `${type} by URL cannot be sent (file parts need base64 data or a file_id)` };
+        return { part: { type: 'file', file: { filename: filename || 'attachment', file_data: dataUrl } } };
+    }
+
+    return { reason: `unsupported content part type "${type}"` };
+}
+
+/**
+ * Convert message content from Qi Studio format to OpenAI format
+ * Qi Studio: content can be array [{type: "text", text: "..."}] or string
+ * OpenAI: content is a string, or (multimodal user messages) an array of
+ *         text / image_url / input_audio / file content parts
+ *
+ * Options:
+ * - multimodal: keep image, audio & file parts (otherwise only text is kept)
+ * - role: message role - only user messages can carry non-text parts
+ * - onDrop(text): called for every part that is dropped
+ */
+function convertMessageContent(content, options = {}) {
+    // If content is already a string, return as-is
+    if (typeof content === 'string') {
+        return content;
+    }
+    
+    // If content is an array (Qi Studio format)
+    if (Array.isArray(content)) {
+        const drop = options.onDrop || (() => {});
+        const keepNonText = options.multimodal && (!options.role || options.role === 'user');
+        const parts = [];
+
+        content.forEach((item, idx) => {
+            const { part, reason } = toOpenAIContentPart(item);
+            if (reason) {
+                drop(`part ${idx} dropped: ${reason}`);
+                return;
+            }
+            if (!part) return;
+            if (part.type !== 'text' && !keepNonText) {
+                drop(options.multimodal
+                    ? `${part.type} part ${idx} dropped: only user messages can carry images, audio and files`
+                    : `${part.type} part ${idx} dropped: enable multimodal content to keep it`);
+                return;
+            }
+            parts.push(part);
+        });
+
+        if (parts.some(part => part.type !== 'text')) {
+            return parts;
+        }
+        return parts.map(part => part.text).join('\n');
+    }
+    
+    // If content is an object (like tool response data), stringify it
+    if (content !== null && typeof content === 'object') {
+        return JSON.stringify(content);
+    }
+    
+    // Fallback
+    return String(content || '');
+}
+
+/**
+ * Roles that are passed through as-is
+ */
+const MESSAGE_ROLES = new Set(['user', 'assistant', 'system', 'developer']);
+
+/**
+ * Roles of OpenAI-format tool responses
+ */
+const TOOL_RESPONSE_ROLES = new Set(['tool', 'function']);
+
+/**
+ * Qi Studio node types (additional_kwargs.node_metadata.nodeType) and the role their output maps to
+ */
+const NODE_TYPE_ROLES = {
+    tool: 'tool',
+    script: 'tool',
+    llm: 'assistant',
+    agent: 'assistant'
+};
+
+/**
+ * Content placed in synthesized responses for tool calls that were never answered
+ */
+const STUB_TOOL_RESPONSE = 'No response was captured for this tool call.';
+
+/**
+ * Extract the tool name from an "Executed **tool_name** ..." marker in a message
+ */
+function getExecutedToolName(msg) {
+    const match = convertMessageContent(msg.content).match(/Executed \*\*([^*]+)\*\*/i);
+    return match && match[1] ? match[1].trim() : null;
+}
+
+/**
+ * Get the Qi Studio node metadata of a message (additional_kwargs.node_metadata)
+ */
+function getNodeMetadata(msg) {
+    return (msg.additional_kwargs && msg.additional_kwargs.node_metadata) || {};
+}
+
+/**
+ * Get the Qi Studio node name of a message (additional_kwargs.node_metadata.nodeName)
+ */
+function getNodeName(msg) {
+    return getNodeMetadata(msg).nodeName || null;
+}
+
+/**
+ * Resolve the OpenAI role of a Qi Studio message (see ROLE MAPPING STRATEGY in convertMessages):
+ * returns { role, reason } where role is a MESSAGE_ROLES role or "tool" (a tool response),
+ * and reason describes the mapping when the original role was not kept
+ */
+function resolveMessageRole(msg, hasPendingCalls) {
+    if (MESSAGE_ROLES.has(msg.role)) {
+        return { role: msg.role, reason: null };
+    }
+    if (TOOL_RESPONSE_ROLES.has(msg.role)) {
+        return { role: 'tool', reason: null };
+    }
+
+    const nodeType = typeof getNodeMetadata(msg).nodeType === 'string'
+        ? getNodeMetadata(msg).nodeType.toLowerCase()
+        : null;
+    if (nodeType && NODE_TYPE_ROLES[nodeType]) {
+        return { role: NODE_TYPE_ROLES[nodeType], reason: `node_metadata.nodeType "${nodeType}"` };
+    }
+
+    if (hasPendingCalls) {
+        return { role: 'tool', reason: 'pending tool call' };
+    }
+    return { role: 'assistant', reason: 'no node metadata or pending tool call' };
+}
+
+/**
+ * Convert messages array from Qi Studio format to OpenAI format
+ * 
+ * ROLE MAPPING STRATEGY:
+ * 1. If role is already valid (system, user, assistant, developer) → keep as-is;
+ *    tool / function → tool response
+ * 2. If message has additional_kwargs.node_metadata.nodeType → use that to determine role:
+ *    - nodeType = "tool" or "script" → role = "tool" (with tool_call_id from pending queue)
+ *    - nodeType = "llm" or "agent" → role = "assistant" (sub-agent / handoff node output,
+ *      tool_calls included)
+ * 3. If unknown role with pending tool_call → role = "tool" (with tool_call_id)
+ * 4. Otherwise → role = "assistant" (an "Executed **name**" marker alone does not make
+ *    a tool response - without a pending call it would be dropped as an orphan)
+ * 
+ * TOOL RESPONSE PAIRING:
+ * A tool response is matched to a pending tool call by, in order:
+ * 1. its own tool_call_id (OpenAI-format tool messages)
+ * 2. name - the role, node_metadata.nodeName or "Executed **name**" marker
+ *    against the pending call's function name (parallel calls may answer out of order)
+ * 3. otherwise the oldest pending call
+ * Responses with no pending call (orphans) are dropped.
+ * 
+ * OpenAI REQUIREMENT: Every tool_call must have a matching tool response!
+ * Calls still unanswered when the next non-tool message arrives (or the conversation ends)
+ * get a synthesized stub response, or are removed from their assistant message.
+ * 
+ * Options:
+ * - multimodal: keep image / audio / file parts on user messages (see convertMessageContent)
+ * - unansweredToolCalls: "stub" (default) or "remove"
+ * - stubToolResponse: content of synthesized stub responses
+ * - keepWeights: copy a fine-tuning "weight" (0 / 1) from input assistant messages
+ * - report: conversion report array (see addReportEntry) - receives every skipped message,
+ *   dropped part / response, renamed tool, generated id and stubbed / removed call
+ */
+function convertMessages(inputMessages, toolNameMap, options = {}) {
+    const convertedMessages = [];
+    const report = options.report;
+    const unansweredMode = options.unansweredToolCalls === 'remove' ? 'remove' : 'stub';
+    const stubContent = options.stubToolResponse || STUB_TOOL_RESPONSE;
+    
+    // Tool calls that still need a response: { id, names, call, message, index }
+    const pendingCalls = [];
+
+    // Stub or remove every pending call - the next message is not a tool response
+    const resolveUnansweredCalls = () => {
+        for (const pending of pendingCalls) {
+            const label = `Tool call ${pending.id} (${pending.call.function.name})`;
+            if (unansweredMode === 'remove') {
+                const message = pending.message;
+                message.tool_calls = message.tool_calls.filter(call => call !== pending.call);
+                if (message.tool_calls.length === 0) {
+                    delete message.tool_calls;
+                    if (!message.content) {
+                        convertedMessages.splice(convertedMessages.indexOf(message), 1);
+                    }
+                }
+                addReportEntry(report, 'messages', pending.index, 'removed_tool_call', 'warning',
+                    `${label} has no response - call removed`);
+            } else {
+                convertedMessages.push({
+                    role: 'tool',
+                    tool_call_id: pending.id,
+                    content: stubContent
+                });
+                addReportEntry(report, 'messages', pending.index, 'stubbed_tool_call', 'warning',
+                    `${label} has no response - stub response added`);
+            }
+        }
+        pendingCalls.length = 0;
+    };
+
+    // Find the pending call a tool response answers (see TOOL RESPONSE PAIRING)
+    const matchPendingCall = (msg) => {
+        if (msg.tool_call_id) {
+            const byId = pendingCalls.findIndex(pending => pending.id === msg.tool_call_id);
+            if (byId !== -1) return byId;
+        }
+
+        const names = [msg.role, getNodeName(msg), getExecutedToolName(msg)].filter(Boolean);
+        const candidates = new Set(names.concat(names.map(name => toolNameMap[name]).filter(Boolean)));
+        const byName = pendingCalls.findIndex(pending => pending.names.some(name => candidates.has(name)));
+        if (byName !== -1) return byName;
+
+        return pendingCalls.length > 0 ? 0 : -1;
+    };
+
+    for (let i = 0; i < inputMessages.length; i += 1) {
+        const msg = inputMessages[i];
+        const { role, reason } = resolveMessageRole(msg, pendingCalls.length > 0);
+        if (reason && role === 'assistant') {
+            addReportEntry(report, 'messages', i, 'mapped_role', 'info',
+                `Role "${msg.role}" mapped to assistant (${reason})`);
+        }
+
+        const content = convertMessageContent(msg.content, {
+            multimodal: options.multimodal,
+            role: role,
+            onDrop: text => addReportEntry(report, 'messages', i, 'dropped_content_part', 'warning', text)
+        });
+
+        // Normalize assistant tool_calls into OpenAI format
+        if (role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+            resolveUnansweredCalls();
+
+            // Tool responses that follow this message (used to resolve internal node names)
+            const followingResponses = [];
+            for (let j = i + 1; j < inputMessages.length && resolveMessageRole(inputMessages[j], true).role === 'tool'; j += 1) {
+                followingResponses.push(inputMessages[j]);
+            }
+
+            const assistantMessage = {
+                role: 'assistant',
+                content: content || '',
+                tool_calls: []
+            };
+            if (options.keepWeights && (msg.weight === 0 || msg.weight === 1)) {
+                assistantMessage.weight = msg.weight;
+            }
+
+            msg.tool_calls.forEach((call, idx) => {
+                const callId = call.id || `call_${Date.now()}_${i}_${idx}`;
+                if (!call.id) {
+                    addReportEntry(report, 'messages', i, 'generated_call_id', 'info',
+                        `Tool call ${idx} had no id - generated "${callId}"`);
+                }
+
+                let rawName = '';
+                let rawArgs = {};
+
+                // Qi Studio style: { id, name, args }
+                if (call.name) {
+                    rawName = call.name;
+                    rawArgs = call.args || {};
+                }
+
+                // OpenAI-like style: { id, function: { name, arguments }, type }
+                if (call.function && call.function.name) {
+                    rawName = call.function.name;
+                    if (typeof call.function.arguments === 'string') {
+                        rawArgs = call.function.arguments;
+                    } else {
+                        rawArgs = call.function.arguments || {};
+                    }
+                }
+                const originalName = rawName;
+
+                // Heuristic: if internal node name was used, try to infer actual tool name
+                // from this call's response: "Executed **tool_name** ..."
+                // (the response named after the node, else the one in the same position)
+                if (!toolNameMap[rawName]) {
+                    const response = followingResponses.find(r => r.role === rawName || getNodeName(r) === rawName) ||
+                        followingResponses[idx];
+                    const executedName = response && getExecutedToolName(response);
+                    if (executedName) {
+                        rawName = executedName;
+                        addReportEntry(report, 'messages', i, 'inferred_tool_name', 'info',
+                            `Tool call "${originalName}" renamed to "${executedName}" from its "Executed **${executedName}**" response`);
+                    }
+                }
+
+                const finalName = toolNameMap[rawName] || rawName;
+                if (finalName !== rawName) {
+                    addReportEntry(report, 'messages', i, 'renamed_tool', 'info',
+                        `Tool call "${rawName}" renamed to its alias "${finalName}"`);
+                }
+                const argumentsString = typeof rawArgs === 'string' ? rawArgs : JSON.stringify(rawArgs || {});
+
+                const normalizedCall = {
+                    id: callId,
+                    type: 'function',
+                    function: {
+                        name: finalName,
+                        arguments: argumentsString
+                    }
+                };
+                assistantMessage.tool_calls.push(normalizedCall);
+
+                // Track this tool call - it needs a response!
+                pendingCalls.push({
+                    id: callId,
+                    names: [originalName, rawName, finalName],
+                    call: normalizedCall,
+                    message: assistantMessage,
+                    index: i
+                });
+            });
+
+            convertedMessages.push(assistantMessage);
+            continue;
+        }
+
+        if (role !== 'tool') {
+            // Valid or mapped role
+            // Skip empty messages
+            const isEmpty = Array.isArray(content) ? content.length === 0 : (!content || content.trim() === '');
+            if (isEmpty) {
+                addReportEntry(report, 'messages', i, 'skipped_empty_message', 'info',
+                    `Empty ${role} message skipped`);
+                continue;
+            }
+            resolveUnansweredCalls();
+            const message = {
+                role: role,
+                content: content
+            };
+            if (options.keepWeights && role === 'assistant' && (msg.weight === 0 || msg.weight === 1)) {
+                message.weight = msg.weight;
+            }
+            convertedMessages.push(message);
+        } else {
+            // Tool response (role like "get_contracts_by_supplier_name", "store_contract_node", etc.)
+            // - pair it with its pending tool call
+            const pendingIndex = matchPendingCall(msg);
+            if (pendingIndex !== -1) {
+                const [pending] = pendingCalls.splice(pendingIndex, 1);
+                convertedMessages.push({
+                    role: 'tool',
+                    tool_call_id: pending.id,
+                    content: content || ''
+                });
+            } else {
+                // No pending tool call - skip this message (orphan response)
+                addReportEntry(report, 'messages', i, 'dropped_orphan_response', 'warning',
+                    `Tool response "${msg.role}" has no pending tool call - dropped`);
+            }
+        }
+    }
+
+    resolveUnansweredCalls();
+
+    return convertedMessages;
+}
+
+// ============================================
+// GENERATORS
+// ============================================
+
+/**
+ * Fix schema for OpenAI strict mode requirements:
+ * 1. All properties in 'properties' must be in 'required' array
+ * 2. additionalProperties must be false
+ * Applies recursively for nested objects
+ */
+function fixSchemaForOpenAI(schema, report, path = 'schema') {
+    if (!schema || typeof schema !== 'object') return schema;
+    
+    const fixed = { ...schema };
+    
+    // If it's an object type with properties
+    if (fixed.type === 'object' && fixed.properties) {
+        // Get all property keys
+        const allPropertyKeys = Object.keys(fixed.properties);
+        
+        // Set required to include ALL properties
+        const required = Array.isArray(fixed.required) ? fixed.required : [];
+        const added = allPropertyKeys.filter(key => !required.includes(key));
+        if (added.length > 0) {
+            addReportEntry(report, 'structured_output', null, 'forced_required', 'info',
+                `${path}: added ${added.map(key => `"${key}"`).join(', ')} to required (strict mode)`);
+        }
+        fixed.required = allPropertyKeys;
+        
+        // Set additionalProperties to false
+        if (fixed.additionalProperties !== false) {
+            addReportEntry(report, 'structured_output', null, 'forced_additional_properties', 'info',
+                `${path}: additionalProperties set to false (strict mode)`);
+        }
+        fixed.additionalProperties = false;
+        
+        // Recursively fix nested object properties
+        const fixedProperties = {};
+        for (const [key, value] of Object.entries(fixed.properties)) {
+            fixedProperties[key] = fixSchemaForOpenAI(value, report, `${path}.${key}`);
+        }
+        fixed.properties = fixedProperties;
+    }
+    
+    // Handle array items
+    if (fixed.type === 'array' && fixed.items) {
+        fixed.items = fixSchemaForOpenAI(fixed.items, report, `${path}[]`);
+    }
+    
+    return fixed;
+}
+
+/**
+ * Generate an OpenAI Chat Completions request body
+ */
+function generateOpenAIRequestBody(config, messages, tools, report) {
+    const body = {
+        temperature: config.temperature,
+        top_p: config.topP,
+        frequency_penalty: config.frequencyPenalty,
+        presence_penalty: config.presencePenalty,
+        max_completion_tokens: config.maxOutputTokens,
+        tool_choice: config.toolChoice,
+        messages: messages,
+        tools: tools
+    };
+    
+    // Add reasoning_effort parameter only if enabled
+    if (config.reasoningEnabled && config.reasoningEffort) {
+        body.reasoning_effort = config.reasoningEffort;
+    }
+    
+    // Streaming: server-sent events, with a final chunk carrying token usage
+    if (config.streamEnabled) {
+        body.stream = true;
+        body.stream_options = { include_usage: true };
+    }
+    
+    // Add structured output (response_format) if enabled
+    if (config.structuredOutputEnabled && config.structuredOutputSchema) {
+        // Auto-fix schema for OpenAI strict mode requirements:
+        // 1. All properties must be in 'required' array
+        // 2. additionalProperties must be false
+        const fixedSchema = fixSchemaForOpenAI(config.structuredOutputSchema, report);
+        
+        body.response_format = {
+            type: "json_schema",
+            json_schema: {
+                name: "structured_output",
+                strict: true,
+                schema: fixedSchema
+            }
+        };
+    }
+    
+    return body;
+}
+
+/**
+ * Convert multimodal Chat Completions content parts to Responses input content
+ * (input_audio has no Responses equivalent and is left out)
+ */
+function toResponsesContent(parts) {
+    const content = [];
+    for (const part of parts) {
+        if (part.type === 'text') {
+            content.push({ type: 'input_text', text: part.text });
+        } else if (part.type === 'image_url') {
+            const image = { type: 'input_image', image_url: part.image_url.url };
+            if (part.image_url.detail) image.detail = part.image_url.detail;
+            content.push(image);
+        } else if (part.type === 'file') {
+            content.push({ type: 'input_file', ...part.file });
+        }
+    }
+    return content;
+}
+
+/**
+ * Generate an OpenAI Responses (/v1/responses) request body
+ * from already-converted Chat Completions messages & tools:
+ * - system / developer messages → "instructions"
+ * - assistant tool_calls → "function_call" items, tool messages → "function_call_output" items
+ * - reasoning_effort → reasoning.effort, response_format → text.format
+ */
+function generateResponsesRequestBody(config, messages, tools, report) {
+    const instructions = [];
+    const input = [];
+
+    for (const msg of messages) {
+        if (msg.role === 'system' || msg.role === 'developer') {
+            if (msg.content) instructions.push(msg.content);
+            continue;
+        }
+
+        if (msg.role === 'tool') {
+            input.push({
+                type: 'function_call_output',
+                call_id: msg.tool_call_id,
+                output: msg.content || ''
+            });
+            continue;
+        }
+
+        if (Array.isArray(msg.content)) {
+            input.push({ role: msg.role, content: toResponsesContent(msg.content) });
+        } else if (msg.content) {
+            input.push({ role: msg.role, content: msg.content });
+        }
+        if (msg.role === 'assistant' && Array.isArray(msg.tool_calls)) {
+            for (const call of msg.tool_calls) {
+                input.push({
+                    type: 'function_call',
+                    call_id: call.id,
+                    name: call.function.name,
+                    arguments: call.function.arguments
+                });
+            }
+        }
+    }
+
+    const body = {
+        model: config.model || TARGETS.responses.defaultModel
+    };
+    if (instructions.length > 0) {
+        body.instructions = instructions.join('\n\n');
+    }
+    body.input = input;
+    body.temperature = config.temperature;
+    body.top_p = config.topP;
+    body.max_output_tokens = config.maxOutputTokens;
+
+    if (tools && tools.length > 0) {
+        body.tools = tools.map(tool => ({
+            type: 'function',
+            name: tool.function.name,
+            description: tool.function.description || '',
+            parameters: tool.function.parameters,
+            // Responses defaults function tools to strict mode; Chat Completions does not
+            strict: false
+        }));
+        body.tool_choice = config.toolChoice;
+    }
+
+    if (config.reasoningEnabled && config.reasoningEffort) {
+        body.reasoning = { effort: config.reasoningEffort };
+    }
+
+    // Responses streams report usage in the final response.completed event
+    if (config.streamEnabled) {
+        body.stream = true;
+    }
+
+    if (config.structuredOutputEnabled && config.structuredOutputSchema) {
+        body.text = {
+            format: {
+                type: 'json_schema',
+                name: 'structured_output',
+                strict: true,
+                schema: fixSchemaForOpenAI(config.structuredOutputSchema, report)
+            }
+        };
+    }
+
+    return body;
+}
+
+/**
+ * Parse tool call arguments (OpenAI sends them as a JSON string)
+ */
+function parseToolArguments(args) {
+    if (args && typeof args === 'object') return args;
+    try {
+        const parsed = JSON.parse(args || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Convert multimodal Chat Completions content parts to Anthropic content blocks
+ * (audio and file_id references have no Anthropic equivalent and are left out)
+ */
+function toAnthropicContent(parts) {
+    const blocks = [];
+    for (const part of parts) {
+        if (part.type === 'text') {
+            blocks.push({ type: 'text', text: part.text });
+        } else if (part.type === 'image_url') {
+            const inline = parseDataUrl(part.image_url.url);
+            blocks.push({
+                type: 'image',
+                source: inline
+                    ? { type: 'base64', media_type: inline.mimeType, data: inline.data }
+                    : { type: 'url', url: part.image_url.url }
+            });
+        } else if (part.type === 'file' && part.file.file_data) {
+            const inline = parseDataUrl(part.file.file_data);
+            if (inline) {
+                blocks.push({
+                    type: 'document',
+                    source: { type: 'base64', media_type: inline.mimeType, data: inline.data }
+                });
+            }
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Generate an Anthropic Messages (/v1/messages) request body
+ * from already-converted OpenAI messages & tools:
+ * - system / developer messages → top-level "system"
+ * - assistant tool_calls → "tool_use" blocks, tool messages → "tool_result" blocks (paired by id)
+ * - consecutive messages with the same role are merged (Anthropic requires alternating roles)
+ * - reasoning effort → "thinking" budget (max_tokens is raised so the budget fits)
+ * - temperature only; top_p just when changed from the default (current models reject both together)
+ * - structured output is not supported - the schema is dropped and reported
+ */
+function generateAnthropicRequestBody(config, messages, tools, report) {
+    const target = TARGETS.anthropic;
+    const systemParts = [];
+    const anthropicMessages = [];
+
+    const pushBlocks = (role, blocks) => {
+        const last = anthropicMessages[anthropicMessages.length - 1];
+        if (last && last.role === role) {
+            last.content.push(...blocks);
+        } else {
+            anthropicMessages.push({ role: role, content: blocks });
+        }
+    };
+
+    for (const msg of messages) {
+        if (msg.role === 'system' || msg.role === 'developer') {
+            if (msg.content) systemParts.push(msg.content);
+            continue;
+        }
+
+        if (msg.role === 'tool') {
+            pushBlocks('user', [{
+                type: 'tool_result',
+                tool_use_id: msg.tool_call_id,
+                content: msg.content || ''
+            }]);
+            continue;
+        }
+
+        const blocks = [];
+        if (Array.isArray(msg.content)) {
+            blocks.push(...toAnthropicContent(msg.content));
+        } else if (msg.content) {
+            blocks.push({ type: 'text', text: msg.content });
+        }
+        if (msg.role === 'assistant' && Array.isArray(msg.tool_calls)) {
+            for (const call of msg.tool_calls) {
+                blocks.push({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.function.name,
+                    input: parseToolArguments(call.function.arguments)
+                });
+            }
+        }
+        if (blocks.length > 0) {
+            pushBlocks(msg.role === 'assistant' ? 'assistant' : 'user', blocks);
+        }
+    }
+
+    // Collapse single text blocks back to plain strings for readability
+    for (const msg of anthropicMessages) {
+        if (msg.content.length === 1 && msg.content[0].type === 'text') {
+            msg.content = msg.content[0].text;
+        }
+    }
+
+    const body = {
+        model: config.model || target.defaultModel,
+        max_tokens: config.maxOutputTokens
+    };
+
+    if (systemParts.length > 0) {
+        body.system = systemParts.join('\n\n');
+    }
+    body.messages = anthropicMessages;
+
+    const thinkingEnabled = config.reasoningEnabled && config.reasoningEffort;
+    if (thinkingEnabled) {
+        const budget = THINKING_BUDGETS[config.reasoningEffort] || THINKING_BUDGETS.low;
+        // budget_tokens must be below max_tokens; keep the configured output room on top of it
+        if (body.max_tokens <= budget) {
+            body.max_tokens = budget + config.maxOutputTokens;
+        }
+        body.thinking = { type: 'enabled', budget_tokens: budget };
+    } else {
+        // Anthropic temperature range is 0-1 (OpenAI allows up to 2)
+        body.temperature = Math.min(config.temperature, 1);
+        if (config.topP !== undefined && config.topP !== DEFAULT_CONFIG.topP) {
+            body.top_p = config.topP;
+        }
+    }
+
+    if (config.structuredOutputEnabled && config.structuredOutputSchema) {
+        addReportEntry(report, 'structured_output', null, 'dropped_structured_output', 'warning',
+            'Not supported by the Anthropic Messages API - schema not sent');
+    }
+
+    if (config.streamEnabled) {
+        body.stream = true;
+    }
+
+    if (tools && tools.length > 0) {
+        body.tools = tools.map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description || '',
+            input_schema: tool.function.parameters || { type: 'object', properties: {} }
+        }));
+
+        if (config.toolChoice === 'none') {
+            body.tool_choice = { type: 'none' };
+        } else if (config.toolChoice === 'required' && !thinkingEnabled) {
+            // Forced tool use is not allowed together with extended thinking
+            body.tool_choice = { type: 'any' };
+        } else {
+            body.tool_choice = { type: 'auto' };
+        }
+    }
+
+    return body;
+}
+
+/**
+ * Down-convert a JSON schema to the OpenAPI subset Gemini accepts:
+ * - drops unsupported keywords (additionalProperties, $schema, default, ...)
+ * - type: ["x", "null"] → type: "x" + nullable: true
+ * - const → single-value enum, enum values as strings (typed "string", the only type Gemini allows enums on)
+ * - empty "properties" objects are omitted (Gemini rejects them)
+ */
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const result = {};
+    let type = schema.type;
+
+    if (Array.isArray(type)) {
+        const nonNullTypes = type.filter(t => t !== 'null');
+        if (nonNullTypes.length !== type.length) {
+            result.nullable = true;
+        }
+        if (nonNullTypes.length > 1) {
+            result.anyOf = nonNullTypes.map(t => toGeminiSchema({ ...schema, type: t }));
+            return result;
+        }
+        type = nonNullTypes[0];
+    }
+
+    if (type) result.type = type;
+    if (schema.description) result.description = schema.description;
+    if (schema.nullable === true) result.nullable = true;
+
+    if (Array.isArray(schema.enum)) {
+        result.enum = schema.enum.filter(v => v !== null).map(String);
+    } else if (schema.const !== undefined) {
+        result.enum = [String(schema.const)];
+    }
+    // Gemini only accepts enums on strings - integer / number enums become string enums
+    if (result.enum) {
+        result.type = 'string';
+    }
+
+    if (schema.format && GEMINI_SCHEMA_FORMATS[result.type] && GEMINI_SCHEMA_FORMATS[result.type].includes(schema.format)) {
+        result.format = schema.format;
+    }
+
+    for (const key of ['minItems', 'maxItems', 'minimum', 'maximum']) {
+        if (typeof schema[key] === 'number') result[key] = schema[key];
+    }
+
+    if (schema.properties && typeof schema.properties === 'object') {
+        const propKeys = Object.keys(schema.properties);
+        if (propKeys.length > 0) {
+            result.properties = {};
+            for (const key of propKeys) {
+                result.properties[key] = toGeminiSchema(schema.properties[key]);
+            }
+            if (Array.isArray(schema.required)) {
+                const required = schema.required.filter(key => propKeys.includes(key));
+                if (required.length > 0) result.required = required;
+            }
+        }
+    }
+
+    if (schema.items) {
+        result.items = toGeminiSchema(Array.isArray(schema.items) ? schema.items[0] : schema.items);
+    }
+
+    const variants = schema.anyOf || schema.oneOf;
+    if (Array.isArray(variants) && !result.anyOf) {
+        result.anyOf = variants.map(toGeminiSchema);
+    }
+
+    return result;
+}
+
+/**
+ * Parse a tool result into the object Gemini expects in functionResponse.response
+ */
+function toGeminiFunctionResponse(content) {
+    try {
+        const parsed = JSON.parse(content);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            return parsed;
+        }
+    } catch (e) {
+        // Plain-text tool result
+    }
+    return { result: content };
+}
+
+/**
+ * Convert multimodal Chat Completions content parts to Gemini parts
+ * (file_id references have no Gemini equivalent and are left out)
+ */
+function toGeminiParts(contentParts) {
+    const parts = [];
+    for (const part of contentParts) {
+        if (part.type === 'text') {
+            parts.push({ text: part.text });
+        } else if (part.type === 'image_url') {
+            const inline = parseDataUrl(part.image_url.url);
+            parts.push(inline
+                ? { inlineData: { mimeType: inline.mimeType, data: inline.data } }
+                : { fileData: { mimeType: 'image/*', fileUri: part.image_url.url } });
+        } else if (part.type === 'input_audio') {
+            const mimeType = part.input_audio.format === 'mp3' ? 'audio/mpeg' : 'audio/wav';
+            parts.push({ inlineData: { mimeType: mimeType, data: part.input_audio.data } });
+        } else if (part.type === 'file' && part.file.file_data) {
+            const inline = parseDataUrl(part.file.file_data);
+            if (inline) parts.push({ inlineData: { mimeType: inline.mimeType, data: inline.data } });
+        }
+    }
+    return parts;
+}
+
+/**
+ * Generate a Google Gemini generateContent request body
+ * from already-converted OpenAI messages & tools:
+ * - system / developer messages → systemInstruction
+ * - assistant → "model" role, tool_calls → functionCall parts
+ * - tool messages → functionResponse parts (name resolved through the tool_call_id pairing)
+ * - sampling, max tokens, reasoning & structured output → generationConfig
+ */
+function generateGeminiRequestBody(config, messages, tools) {
+    const systemParts = [];
+    const contents = [];
+    const callNamesById = {};
+
+    const pushParts = (role, parts) => {
+        const last = contents[contents.length - 1];
+        if (last && last.role === role) {
+            last.parts.push(...parts);
+        } else {
+            contents.push({ role: role, parts: parts });
+        }
+    };
+
+    for (const msg of messages) {
+        if (msg.role === 'system' || msg.role === 'developer') {
+            if (msg.content) systemParts.push({ text: msg.content });
+            continue;
+        }
+
+        if (msg.role === 'tool') {
+            pushParts('user', [{
+                functionResponse: {
+                    name: callNamesById[msg.tool_call_id] || 'unknown_function',
+                    response: toGeminiFunctionResponse(msg.content || '')
+                }
+            }]);
+            continue;
+        }
+
+        const parts = [];
+        if (Array.isArray(msg.content)) {
+            parts.push(...toGeminiParts(msg.content));
+        } else if (msg.content) {
+            parts.push({ text: msg.content });
+        }
+        if (msg.role === 'assistant' && Array.isArray(msg.tool_calls)) {
+            for (const call of msg.tool_calls) {
+                callNamesById[call.id] = call.function.name;
+                parts.push({
+                    functionCall: {
+                        name: call.function.name,
+                        args: parseToolArguments(call.function.arguments)
+                    }
+                });
+            }
+        }
+        if (parts.length > 0) {
+            pushParts(msg.role === 'assistant' ? 'model' : 'user', parts);
+        }
+    }
+
+    const body = {};
+    if (systemParts.length > 0) {
+        body.systemInstruction = { parts: systemParts };
+    }
+    body.contents = contents;
+
+    if (tools && tools.length > 0) {
+        body.tools = [{
+            functionDeclarations: tools.map(tool => {
+                const declaration = {
+                    name: tool.function.name,
+                    description: tool.function.description || ''
+                };
+                const parameters = toGeminiSchema(tool.function.parameters);
+                // Parameter-less functions must omit "parameters" entirely
+                if (parameters && parameters.properties) {
+                    declaration.parameters = parameters;
+                }
+                return declaration;
+            })
+        }];
+        body.toolConfig = {
+            functionCallingConfig: {
+                mode: config.toolChoice === 'required' ? 'ANY' : config.toolChoice === 'none' ? 'NONE' : 'AUTO'
+            }
+        };
+    }
+
+    const generationConfig = {
+        temperature: config.temperature,
+        topP: config.topP,
+        maxOutputTokens: config.maxOutputTokens
+    };
+    if (config.frequencyPenalty) generationConfig.frequencyPenalty = config.frequencyPenalty;
+    if (config.presencePenalty) generationConfig.presencePenalty = config.presencePenalty;
+
+    if (config.reasoningEnabled && config.reasoningEffort) {
+        const budget = THINKING_BUDGETS[config.reasoningEffort] || THINKING_BUDGETS.low;
+        // maxOutputTokens includes thinking tokens; keep the configured output room on top of it
+        if (generationConfig.maxOutputTokens <= budget) {
+            generationConfig.maxOutputTokens = budget + config.maxOutputTokens;
+        }
+        generationConfig.thinkingConfig = { thinkingBudget: budget };
+    }
+
+    if (config.structuredOutputEnabled && config.structuredOutputSchema) {
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseSchema = toGeminiSchema(config.structuredOutputSchema);
+    }
+
+    body.generationConfig = generationConfig;
+
+    return body;
+}
+
+/**
+ * Generate the request body for the configured target
+ * (report: optional conversion report array, receives strict-mode schema fixes)
+ */
+function generateRequestBody(config, messages, tools, report) {
+    if (config.target === 'anthropic') {
+        return generateAnthropicRequestBody(config, messages, tools, report);
+    }
+    if (config.target === 'gemini') {
+        return generateGeminiRequestBody(config, messages, tools);
+    }
+    if (config.target === 'responses') {
+        return generateResponsesRequestBody(config, messages, tools, report);
+    }
+    return generateOpenAIRequestBody(config, messages, tools, report);
+}
+
+/**
+ * Model the request runs on: the configured model, else the Azure deployment name
+ * in the endpoint, else the target's default ('' when none is known)
+ */
+function getModelName(config) {
+    const target = TARGETS[config.target] || TARGETS.openai;
+    const deployment = (config.apiEndpoint || '').match(AZURE_DEPLOYMENT_PATTERN);
+    return config.model || (deployment && deployment[2]) || target.defaultModel || '';
+}
+
+/**
+ * Build the request URL for the configured target
+ */
+function getRequestUrl(config) {
+    if (config.target === 'anthropic') {
+        return config.apiEndpoint || TARGETS.anthropic.defaultEndpoint;
+    }
+    if (config.target === 'gemini') {
+        const endpoint = config.apiEndpoint || TARGETS.gemini.defaultEndpoint;
+        const url = endpoint.replace('{model}', config.model || TARGETS.gemini.defaultModel);
+        // Gemini streams from a separate method (no "stream" body field); alt=sse gives SSE framing
+        return config.streamEnabled
+            ? url.replace(/:generateContent\b/, ':streamGenerateContent') + (url.includes('?') ? '&' : '?') + 'alt=sse'
+            : url;
+    }
+    const separator = (config.apiEndpoint || '').includes('?') ? '&' : '?';
+    const url = `${config.apiEndpoint}${separator}api-version=${encodeQueryValue(config.apiVersion)}`;
+    if (config.authMode === 'header' || config.authMode === 'bearer') {
+        return url;
+    }
+    return `${url}&api-key=${encodeQueryValue(config.apiKey)}`;
+}
+
+/**
+ * Percent-encode the characters that would end or split a query parameter value (% & # + =)
+ */
+function encodeQueryValue(value) {
+    return String(value).replace(/[%&#+=]/g, encodeURIComponent);
+}
+
+/**
+ * Build the request headers for the configured target as [name, value] pairs
+ */
+function getRequestHeaders(config) {
+    if (config.target === 'anthropic') {
+        const headers = [];
+        // Only send Host for gateways - the default is the OpenAI host
+        if (config.hostHeader && config.hostHeader !== DEFAULT_CONFIG.hostHeader) {
+            headers.push(['Host', config.hostHeader]);
+        }
+        headers.push(['x-api-key', config.apiKey]);
+        headers.push(['anthropic-version', TARGETS.anthropic.apiVersion]);
+        headers.push(['Content-Type', 'application/json']);
+        return headers;
+    }
+    if (config.target === 'gemini') {
+        const headers = [];
+        if (config.hostHeader && config.hostHeader !== DEFAULT_CONFIG.hostHeader) {
+            headers.push(['Host', config.hostHeader]);
+        }
+        headers.push(['x-goog-api-key', config.apiKey]);
+        headers.push(['Content-Type', 'application/json']);
+        return headers;
+    }
+    const headers = [['Host', config.hostHeader]];
+    if (config.authMode === 'header') {
+        headers.push(['api-key', config.apiKey]);
+    } else if (config.authMode === 'bearer') {
+        headers.push(['Authorization', `Bearer ${config.apiKey}`]);
+    }
+    headers.push(['Content-Type', 'application/json']);
+    return headers;
+}
+
+/**
+ * Environment variable holding the API key for the configured target
+ */
+function getApiKeyEnv(config) {
+    return (TARGETS[config.target] || TARGETS.openai).apiKeyEnv;
+}
+
+/**
+ * Config for building URL / headers: with apiKeyFromEnv the key is replaced by API_KEY_SENTINEL,
+ * which the generators turn into an environment variable reference
+ */
+function withApiKeySentinel(config) {
+    return config.apiKeyFromEnv ? { ...config, apiKey: API_KEY_SENTINEL } : config;
+}
+
+// ============================================
+// SHELL ESCAPING
+// ============================================
+
+/**
+ * Shells the generated commands can be pasted into
+ * - bash / zsh: single-quoted words, "\" line continuations
+ * - cmd: cmd.exe - "^" continuations, caret-escaped double quotes (no single-quote strings)
+ * - powershell: single-quoted strings (no $ / backtick interpolation)
+ */
+const SHELLS = {
+    bash: { label: 'bash', continuation: ' \\' },
+    zsh: { label: 'zsh', continuation: ' \\' },
+    cmd: { label: 'cmd.exe', continuation: ' ^' },
+    powershell: { label: 'PowerShell', continuation: ' `' }
+};
+
+// Characters cmd.exe interprets outside quotes - escaped with "^"
+const CMD_METACHARACTERS = /([()%!^"<>&|])/g;
+
+// cmd.exe refuses command lines longer than this
+const CMD_MAX_LENGTH = 8191;
+
+// Stands in for the API key in URL / headers, then becomes an environment variable reference
+const API_KEY_SENTINEL = '\u0000API_KEY\u0000';
+
+/**
+ * Quote a value as one shell word so the program receives it unchanged
+ */
+function quoteShellArg(value, shell = 'bash') {
+    const text = String(value);
+
+    if (shell === 'powershell') {
+        // Single-quoted strings are literal - only ' itself is doubled
+        return `'${text.replace(/'/g, "''")}'`;
+    }
+
+    if (shell === 'cmd') {
+        // 1. Quote for the program's argv parser (MSVCRT rules: backslashes before a quote are doubled)
+        const argv = '"' + text
+            .replace(/(\\*)"/g, '$1$1\\"')
+            .replace(/(\\+)$/, '$1$1') + '"';
+        // 2. Caret-escape every cmd.exe metacharacter so cmd never enters quote mode
+        return argv.replace(CMD_METACHARACTERS, '^$1');
+    }
+
+    // bash / zsh: single quotes are literal - close, add an escaped quote, reopen
+    return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Quote a value as one shell word, replacing every API_KEY_SENTINEL with an environment variable reference:
+ * bash 'https://...&api-key='"$OPENAI_API_KEY", cmd.exe ^"...^"%OPENAI_API_KEY%,
+ * PowerShell ('https://...&api-key=' + $env:OPENAI_API_KEY)
+ */
+function quoteWithKeyEnv(value, envName, shell = 'bash') {
+    const references = {
+        cmd: `%${envName}%`,
+        powershell: `$env:${envName}`
+    };
+    const reference = references[shell] || `"$${envName}"`;
+    const pieces = [];
+    String(value).split(API_KEY_SENTINEL).forEach((part, idx) => {
+        if (idx > 0) pieces.push(reference);
+        if (part) pieces.push(quoteShellArg(part, shell));
+    });
+
+    if (shell !== 'powershell') return pieces.join('');
+    return pieces.length === 1 ? pieces[0] : `(${pieces.join(' + ')})`;
+}
+
+// ============================================
+// COMMAND GENERATORS
+// ============================================
+
+/**
+ * Generate curl command for a POSIX shell (bash / zsh) or cmd.exe
+ * (cmd.exe cannot take newlines inside an argument, so the body is sent as compact JSON).
+ * With config.apiKeyFromEnv the key is read from the target's environment variable;
+ * with config.streamEnabled curl prints server-sent events as they arrive (--no-buffer).
+ */
+function generateCurlCommand(config, requestBody, shell = 'bash') {
+    const envName = getApiKeyEnv(config);
+    const quote = value => quoteWithKeyEnv(value, envName, shell);
+    const continuation = SHELLS[shell] ? SHELLS[shell].continuation : SHELLS.bash.continuation;
+    const keyedConfig = withApiKeySentinel(config);
+    const fullUrl = getRequestUrl(keyedConfig);
+    const headerLines = getRequestHeaders(keyedConfig)
+        .map(([name, value]) => `--header ${quote(`${name}: ${value}`)}${continuation}`)
+        .join('\n');
+    
+    // Pretty print JSON (compact for cmd.exe)
+    const jsonBody = shell === 'cmd' ? JSON.stringify(requestBody) : JSON.stringify(requestBody, null, 4);
+    
+    return `curl --location${config.streamEnabled ? ' --no-buffer' : ''} ${quote(fullUrl)}${continuation}
+${headerLines}
+--data ${quote(jsonBody)}`;
+}
+
+/**
+ * Generate PowerShell command
+ * (URL and headers in single-quoted strings, body in a literal @'...'@ here-string).
+ * Invoke-RestMethod buffers the whole response, so with config.streamEnabled the request is
+ * sent through HttpClient and the event stream is read line by line.
+ */
+function generatePowerShellCommand(config, requestBody) {
+    const envName = getApiKeyEnv(config);
+    const quote = value => quoteWithKeyEnv(value, envName, 'powershell');
+    const keyedConfig = withApiKeySentinel(config);
+    const fullUrl = getRequestUrl(keyedConfig);
+    const jsonBody = JSON.stringify(requestBody, null, 2);
+    const headers = getRequestHeaders(keyedConfig);
+
+    if (config.streamEnabled) {
+        // HttpClient takes the content type from the request content, not the header list
+        const streamHeaderLines = headers
+            .filter(([name]) => name.toLowerCase() !== 'content-type')
+            .map(([name, value]) => `    ${quote(name)} = ${quote(value)}`)
+            .join('\n');
+
+        return `$uri = ${quote(fullUrl)}
+
+$headers = @{
+${streamHeaderLines}
+}
+
+$body = @'
+${jsonBody}
+'@
+
+# Invoke-RestMethod buffers the response - read the event stream line by line instead
+Add-Type -AssemblyName System.Net.Http
+$client = [System.Net.Http.HttpClient]::new()
+$client.Timeout = [System.Threading.Timeout]::InfiniteTimeSpan
+$request = [System.Net.Http.HttpRequestMessage]::new([System.Net.Http.HttpMethod]::Post, $uri)
+foreach ($name in $headers.Keys) {
+    [void]$request.Headers.TryAddWithoutValidation($name, $headers[$name])
+}
+$request.Content = [System.Net.Http.StringContent]::new($body, [System.Text.Encoding]::UTF8, 'application/json')
+$response = $client.SendAsync($request, [System.Net.Http.HttpCompletionOption]::ResponseHeadersRead).GetAwaiter().GetResult()
+if (-not $response.IsSuccessStatusCode) {
+    throw "HTTP $([int]$response.StatusCode): $($response.Content.ReadAsStringAsync().GetAwaiter().GetResult())"
+}
+$reader = [System.IO.StreamReader]::new($response.Content.ReadAsStreamAsync().GetAwaiter().GetResult())
+while ($null -ne ($line = $reader.ReadLine())) {
+    if ($line) { Write-Output $line }
+}
+$reader.Dispose()
+$client.Dispose()`;
+    }
+
+    const headerLines = headers
+        .map(([name, value]) => `    ${quote(name)} = ${quote(value)}`)
+        .join('\n');
+    
+    return `$headers = @{
+${headerLines}
+}
+
+$body = @'
+${jsonBody}
+'@
+
+Invoke-RestMethod -Uri ${quote(fullUrl)} -Method Post -Headers $headers -Body $body`;
+}
+
+return {
+    DEFAULT_CONFIG,
+    TARGETS,
+    AZURE_DEPLOYMENT_PATTERN,
+    MODEL_PLACEHOLDER,
+    AUTH_MODES,
+    isAgentNodeJson,
+    getInputToolsArray,
+    parseConversations,
+    formatReportEntry,
+    convertTools,
+    buildToolNameMap,
+    toOpenAIContentPart,
+    convertMessageContent,
+    convertMessages,
+    fixSchemaForOpenAI,
+    generateOpenAIRequestBody,
+    generateResponsesRequestBody,
+    generateAnthropicRequestBody,
+    toGeminiSchema,
+    generateGeminiRequestBody,
+    generateRequestBody,
+    getModelName,
+    getRequestUrl,
+    encodeQueryValue,
+    getRequestHeaders,
+    getApiKeyEnv,
+    withApiKeySentinel,
+    SHELLS,
+    CMD_MAX_LENGTH,
+    API_KEY_SENTINEL,
+    quoteShellArg,
+    quoteWithKeyEnv,
+    generateCurlCommand,
+    generatePowerShellCommand
+};
+});
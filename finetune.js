@@ -0,0 +1,210 @@
+/**
+ * LLM CURL GENERATOR - Fine-Tuning Export
+ * Writes converted conversations as OpenAI chat fine-tuning .jsonl - one
+ * { messages, tools, parallel_tool_calls } example per line - and validates every
+ * example against the fine-tuning format rules (no DOM access).
+ * Loaded by index.html as a plain <script> after converter.js (exposes window.FineTuneExport)
+ * and by the Node scripts via require('./finetune').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./converter'));
+    } else {
+        root.FineTuneExport = factory(root.CurlConverter);
+    }
+})(typeof self !== 'undefined' ? self : this, function (converter) {
+'use strict';
+
+const {
+    formatReportEntry,
+    convertTools,
+    buildToolNameMap,
+    convertMessages
+} = converter;
+
+/**
+ * Roles a chat fine-tuning example may contain
+ */
+const FINE_TUNE_ROLES = new Set(['system', 'developer', 'user', 'assistant', 'tool']);
+
+/**
+ * Which assistant turns are trained on:
+ * - input: every turn, except those with "weight": 0 on the input message
+ * - last: only the final assistant turn (earlier turns get weight 0)
+ */
+const FINE_TUNE_WEIGHTS = {
+    input: { label: 'Every assistant turn (input weights kept)' },
+    last: { label: 'Final assistant turn only' }
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check a fine-tuning example ({ messages, tools, parallel_tool_calls }) against the format rules:
+ * known roles, a final assistant turn, every tool call answered (and every tool message
+ * answering one), tools present for the called functions, weights 0 / 1 on assistant turns only,
+ * at least one trained turn, no parallel calls when parallel_tool_calls is false.
+ * Returns a list of problems (empty when valid)
+ */
+function validateFineTuneExample(example) {
+    const errors = [];
+    const messages = Array.isArray(example.messages) ? example.messages : [];
+    const toolNames = new Set((example.tools || []).map(tool => tool.function && tool.function.name));
+
+    if (messages.length === 0) {
+        return ['No messages'];
+    }
+
+    const unanswered = new Map();
+    messages.forEach((message, index) => {
+        const label = `Message ${index}`;
+        if (!FINE_TUNE_ROLES.has(message.role)) {
+            errors.push(`${label}: role "${message.role}" is not allowed in fine-tuning data`);
+        }
+        if (message.weight !== undefined) {
+            if (message.role !== 'assistant') {
+                errors.push(`${label}: "weight" is only allowed on assistant messages`);
+            } else if (message.weight !== 0 && message.weight !== 1) {
+                errors.push(`${label}: "weight" must be 0 or 1`);
+            }
+        }
+
+        if (message.role === 'tool') {
+            if (!unanswered.delete(message.tool_call_id)) {
+                errors.push(`${label}: tool response "${message.tool_call_id}" does not answer a preceding tool call`);
+            }
+            return;
+        }
+
+        // Any non-tool message ends the previous assistant turn's tool responses
+        for (const [id, name] of unanswered) {
+            errors.push(`${label}: tool call ${id} (${name}) is not answered before this message`);
+        }
+        unanswered.clear();
+
+        if (message.role !== 'assistant' || !Array.isArray(message.tool_calls)) return;
+
+        if (example.parallel_tool_calls === false && message.tool_calls.length > 1) {
+            errors.push(`${label}: ${message.tool_calls.length} tool calls in one turn but parallel_tool_calls is false`);
+        }
+        for (const call of message.tool_calls) {
+            const name = call.function && call.function.name;
+            unanswered.set(call.id, name);
+            if (!toolNames.has(name)) {
+                errors.push(`${label}: tool call "${name}" has no matching entry in "tools"`);
+            }
+            try {
+                JSON.parse(call.function.arguments);
+            } catch (e) {
+                errors.push(`${label}: tool call "${name}" arguments are not valid JSON`);
+            }
+        }
+    });
+
+    for (const [id, name] of unanswered) {
+        errors.push(`Tool call ${id} (${name}) has no tool response`);
+    }
+
+    const last = messages[messages.length - 1];
+    if (last.role !== 'assistant' || (Array.isArray(last.tool_calls) && last.tool_calls.length > 0)) {
+        errors.push('The last message must be an assistant reply (without tool calls)');
+    }
+    const assistantTurns = messages.filter(message => message.role === 'assistant');
+    if (assistantTurns.length > 0 && assistantTurns.every(message => message.weight === 0)) {
+        errors.push('Every assistant turn has weight 0 - nothing would be trained on');
+    }
+
+    return errors;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Convert every conversation with the shared tools & config into fine-tuning examples.
+ * Options:
+ * - weights: "input" (default) or "last" (see FINE_TUNE_WEIGHTS)
+ * - parallelToolCalls: true / false sets parallel_tool_calls on every example (omitted otherwise)
+ * Invalid conversations - including ones whose tool calls only have stub responses -
+ * are left out and listed in "errors".
+ * Returns { examples: [{ customId, example }], errors: [string], warnings: [string] }
+ */
+function generateFineTuneExamples(config, conversations, inputTools = [], options = {}) {
+    const toolsReport = [];
+    const tools = convertTools(inputTools, toolsReport);
+    const toolNameMap = buildToolNameMap(inputTools);
+    const warnings = toolsReport
+        .filter(entry => entry.level === 'warning')
+        .map(formatReportEntry);
+    const errors = [];
+    const examples = [];
+
+    for (const conversation of conversations) {
+        const report = [];
+        const messages = convertMessages(conversation.messages, toolNameMap, {
+            multimodal: config.multimodalEnabled,
+            unansweredToolCalls: config.unansweredToolCalls,
+            keepWeights: true,
+            report: report
+        });
+
+        if (options.weights === 'last') {
+            const lastAssistant = messages.map(message => message.role).lastIndexOf('assistant');
+            messages.forEach((message, index) => {
+                if (message.role === 'assistant') message.weight = index === lastAssistant ? 1 : 0;
+            });
+        }
+
+        const example = { messages: messages };
+        if (tools.length > 0) example.tools = tools;
+        if (typeof options.parallelToolCalls === 'boolean') {
+            example.parallel_tool_calls = options.parallelToolCalls;
+        }
+
+        // A stub response would teach the model a made-up tool result
+        const problems = report
+            .filter(entry => entry.action === 'stubbed_tool_call')
+            .map(entry => `${formatReportEntry(entry)} (it would be trained on - answer the call, or remove unanswered calls)`)
+            .concat(validateFineTuneExample(example));
+
+        if (problems.length > 0) {
+            errors.push(...problems.map(problem => `${conversation.customId}: ${problem}`));
+            continue;
+        }
+
+        for (const entry of report) {
+            if (entry.level === 'warning') {
+                warnings.push(`${conversation.customId}: ${formatReportEntry(entry)}`);
+            }
+        }
+        examples.push({ customId: conversation.customId, example: example });
+    }
+
+    return { examples, errors, warnings };
+}
+
+/**
+ * Build the fine-tuning .jsonl file content (one example per line) - see generateFineTuneExamples
+ * Returns { content, count, errors, warnings }
+ */
+function generateFineTuneFile(config, conversations, inputTools = [], options = {}) {
+    const { examples, errors, warnings } = generateFineTuneExamples(config, conversations, inputTools, options);
+    return {
+        content: examples.map(({ example }) => JSON.stringify(example)).join('\n') + (examples.length > 0 ? '\n' : ''),
+        count: examples.length,
+        errors: errors,
+        warnings: warnings
+    };
+}
+
+return {
+    FINE_TUNE_WEIGHTS,
+    validateFineTuneExample,
+    generateFineTuneExamples,
+    generateFineTuneFile
+};
+});
@@ -3,6 +3,8 @@
  * Generates OpenAI Chat Completion API curl commands
  */
 
+const { convertTools, generateRequestBody, generateCurlCommand, generatePowerShellCommand } = require('./converter');
+
 // ============================================
 // CONFIGURATION - Modify these values
 // ============================================
@@ -87,60 +89,17 @@ const messages = [
 // ============================================
 
 function generateCurl(config, messages, tools) {
-    // Build the request body
-    const requestBody = {
-        temperature: config.temperature,
-        top_p: config.topP,
-        tool_choice: config.toolChoice,
-        messages: messages,
-        tools: tools
-    };
-
-    // Convert to JSON string and escape for shell
-    const jsonBody = JSON.stringify(requestBody, null, 4);
-    
-    // Escape single quotes for shell (replace ' with '\''）
-    const escapedBody = jsonBody.replace(/'/g, "'\\''");
-
-    // Build the full URL with query params
-    const fullUrl = `${config.apiEndpoint}?api-version=${config.apiVersion}&api-key=${config.apiKey}`;
-
-    // Generate curl command
-    const curlCommand = `curl --location '${fullUrl}' \\
---header 'Host: ${config.hostHeader}' \\
---header 'Content-Type: application/json' \\
---data '${escapedBody}'`;
-
-    return curlCommand;
+    const requestBody = generateRequestBody(config, messages, convertTools(tools));
+    return generateCurlCommand(config, requestBody);
 }
 
 // ============================================
-// ALTERNATIVE: Generate with JSON in separate file
+// ALTERNATIVE: PowerShell (Invoke-RestMethod)
 // ============================================
 
 function generateCurlWithFileRef(config, messages, tools) {
-    // Build the request body
-    const requestBody = {
-        temperature: config.temperature,
-        top_p: config.topP,
-        tool_choice: config.toolChoice,
-        messages: messages,
-        tools: tools
-    };
-
-    const fullUrl = `${config.apiEndpoint}?api-version=${config.apiVersion}&api-key=${config.apiKey}`;
-
-    // For PowerShell - using Invoke-RestMethod
-    const powershellCommand = `$body = @'
-${JSON.stringify(requestBody, null, 2)}
-'@
-
-Invoke-RestMethod -Uri '${fullUrl}' \`
-    -Method Post \`
-    -Headers @{ 'Host' = '${config.hostHeader}'; 'Content-Type' = 'application/json' } \`
-    -Body $body`;
-
-    return powershellCommand;
+    const requestBody = generateRequestBody(config, messages, convertTools(tools));
+    return generatePowerShellCommand(config, requestBody);
 }
 
 // ============================================
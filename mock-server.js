@@ -0,0 +1,637 @@
+#!/usr/bin/env node
+/**
+ * LLM CURL GENERATOR - Mock Chat Completions Server
+ * Offline stand-in for the Chat Completions endpoint: checks every request body against the
+ * rules the converter has to satisfy (roles, tool call / tool response pairing, strict schemas,
+ * tool name format) and answers like the real API - a 400 with the API's error shape, or a
+ * scripted reply / tool call from a fixtures file (JSON or streamed).
+ * Run with: npm run mock [-- options]   (or: node mock-server.js [options])
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { parseArgs } = require('util');
+const { createEncoder, countChatTokens } = require('./tokenizer');
+
+const USAGE = `Usage: npm run mock -- [options]   (or: node mock-server.js [options])
+
+Answers POST .../chat/completions on http://localhost:<port>/ - point the API endpoint at
+http://localhost:<port>/v1/chat/completions (any key works). Invalid bodies get the 400 the
+real API would send; valid ones the first matching fixture.
+
+Options:
+  -p, --port <port>          Port to listen on (default: 3001)
+  -f, --fixtures <file>      Scripted responses (default: mock-fixtures.json)
+      --latency <ms>         Delay every response (default: 0)
+  -h, --help                 Show this help
+`;
+
+const OPTIONS = {
+    port: { type: 'string', short: 'p', default: '3001' },
+    fixtures: { type: 'string', short: 'f', default: path.join(__dirname, 'mock-fixtures.json') },
+    latency: { type: 'string', default: '0' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Roles the Chat Completions API accepts
+const CHAT_ROLES = ['system', 'assistant', 'user', 'function', 'tool', 'developer'];
+
+// Function names: letters, digits, underscores and dashes, at most 64 characters
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const TOOL_NAME_MAX_LENGTH = 64;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': '*'
+};
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+/**
+ * An invalid_request_error as the API reports it
+ */
+function invalidRequest(message, param, code = null) {
+    return { message: message, type: 'invalid_request_error', param: param, code: code };
+}
+
+/**
+ * JSON type name of a value for error messages ("null", "array", "string", ...)
+ */
+function typeName(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Whether a value is a JSON object (not null, not an array)
+ */
+function isObject(value) {
+    return typeName(value) === 'object';
+}
+
+/**
+ * "In context=(...)" prefix the API puts in front of schema problems
+ */
+function schemaContext(context) {
+    return `In context=(${context.map(key => `'${key}'`).join(', ')}${context.length === 1 ? ',' : ''})`;
+}
+
+/**
+ * Check that a schema has the shape the API's meta-schema requires: every nested schema
+ * (properties, items, anyOf) is an object and descriptions are strings
+ * Returns the API's description of the first problem, or null
+ */
+function checkSchemaShape(schema, context = []) {
+    const where = schemaContext(context);
+    if (!isObject(schema)) {
+        return `${where}, schema must be a JSON Schema of 'type: "object"', got 'type: "${typeName(schema)}"'.`;
+    }
+    if (schema.description !== undefined && typeof schema.description !== 'string') {
+        return `${where}, 'description' must be a string, got '${typeName(schema.description)}'.`;
+    }
+    if (schema.properties !== undefined) {
+        if (!isObject(schema.properties)) {
+            return `${where}, 'properties' must be an object, got '${typeName(schema.properties)}'.`;
+        }
+        for (const [key, property] of Object.entries(schema.properties)) {
+            const problem = checkSchemaShape(property, [...context, 'properties', key]);
+            if (problem) return problem;
+        }
+    }
+    if (schema.items !== undefined) {
+        const problem = checkSchemaShape(schema.items, [...context, 'items']);
+        if (problem) return problem;
+    }
+    if (schema.anyOf !== undefined) {
+        if (!Array.isArray(schema.anyOf)) {
+            return `${where}, 'anyOf' must be an array, got '${typeName(schema.anyOf)}'.`;
+        }
+        for (const [index, option] of schema.anyOf.entries()) {
+            const problem = checkSchemaShape(option, [...context, 'anyOf', String(index)]);
+            if (problem) return problem;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check the shape of a message's content: a string, null, or an array of typed parts
+ * Returns an invalid_request_error, or null
+ */
+function checkMessageContent(message, i) {
+    const content = message.content;
+    if (content === undefined || content === null || typeof content === 'string') return null;
+    if (!Array.isArray(content)) {
+        return invalidRequest(`Invalid type for 'messages[${i}].content': expected one of a string or array of objects, but got ${typeName(content)} instead.`,
+            `messages[${i}].content`, 'invalid_type');
+    }
+    const index = content.findIndex(part => !isObject(part) || typeof part.type !== 'string');
+    if (index === -1) return null;
+    return isObject(content[index])
+        ? invalidRequest(`Missing required parameter: 'messages[${i}].content[${index}].type'.`,
+            `messages[${i}].content[${index}].type`, 'missing_required_parameter')
+        : invalidRequest(`Invalid type for 'messages[${i}].content[${index}]': expected an object, but got ${typeName(content[index])} instead.`,
+            `messages[${i}].content[${index}]`, 'invalid_type');
+}
+
+/**
+ * Check the shape of a message's tool_calls: objects with an id and a function
+ * carrying a string name and string arguments
+ * Returns an invalid_request_error, or null
+ */
+function checkToolCalls(message, i) {
+    if (message.tool_calls === undefined) return null;
+    if (!Array.isArray(message.tool_calls)) {
+        return invalidRequest(`Invalid type for 'messages[${i}].tool_calls': expected an array of objects, but got ${typeName(message.tool_calls)} instead.`,
+            `messages[${i}].tool_calls`, 'invalid_type');
+    }
+    for (const [j, call] of message.tool_calls.entries()) {
+        const param = `messages[${i}].tool_calls[${j}]`;
+        if (!isObject(call)) {
+            return invalidRequest(`Invalid type for '${param}': expected an object, but got ${typeName(call)} instead.`, param, 'invalid_type');
+        }
+        if (typeof call.id !== 'string') {
+            return invalidRequest(`Missing required parameter: '${param}.id'.`, `${param}.id`, 'missing_required_parameter');
+        }
+        if (!isObject(call.function)) {
+            return call.function === undefined
+                ? invalidRequest(`Missing required parameter: '${param}.function'.`, `${param}.function`, 'missing_required_parameter')
+                : invalidRequest(`Invalid type for '${param}.function': expected an object, but got ${typeName(call.function)} instead.`,
+                    `${param}.function`, 'invalid_type');
+        }
+        for (const field of ['name', 'arguments']) {
+            if (typeof call.function[field] !== 'string') {
+                return call.function[field] === undefined
+                    ? invalidRequest(`Missing required parameter: '${param}.function.${field}'.`, `${param}.function.${field}`, 'missing_required_parameter')
+                    : invalidRequest(`Invalid type for '${param}.function.${field}': expected a string, but got ${typeName(call.function[field])} instead.`,
+                        `${param}.function.${field}`, 'invalid_type');
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a JSON schema against the strict mode rules: every object lists all of its properties
+ * in "required" and sets additionalProperties to false (nested objects, array items and anyOf too)
+ * Returns the API's description of the first problem, or null
+ */
+function checkStrictSchema(schema, context = []) {
+    if (!schema || typeof schema !== 'object') return null;
+    const where = schemaContext(context);
+
+    if (schema.type === 'object' || schema.properties) {
+        const properties = schema.properties || {};
+        if (schema.additionalProperties !== false) {
+            return `${where}, 'additionalProperties' is required to be supplied and to be false.`;
+        }
+        const required = Array.isArray(schema.required) ? schema.required : [];
+        const missing = Object.keys(properties).filter(key => !required.includes(key));
+        if (missing.length > 0) {
+            return `${where}, 'required' is required to be supplied and to be an array including every key in properties. Missing '${missing[0]}'.`;
+        }
+        for (const [key, property] of Object.entries(properties)) {
+            const problem = checkStrictSchema(property, [...context, 'properties', key]);
+            if (problem) return problem;
+        }
+    }
+    if (schema.items) {
+        const problem = checkStrictSchema(schema.items, [...context, 'items']);
+        if (problem) return problem;
+    }
+    for (const [index, option] of (schema.anyOf || []).entries()) {
+        const problem = checkStrictSchema(option, [...context, 'anyOf', String(index)]);
+        if (problem) return problem;
+    }
+    return null;
+}
+
+/**
+ * Check a Chat Completions request body the way the API does
+ * Returns a list of { message, type, param, code } errors - the API reports the first one
+ */
+function validateChatRequest(body) {
+    const errors = [];
+
+    if (!Array.isArray(body.messages)) {
+        errors.push(body.messages === undefined
+            ? invalidRequest("Missing required parameter: 'messages'.", 'messages', 'missing_required_parameter')
+            : invalidRequest(`Invalid type for 'messages': expected an array of objects, but got ${typeof body.messages} instead.`, 'messages', 'invalid_type'));
+        return errors;
+    }
+    if (body.messages.length === 0) {
+        errors.push(invalidRequest("Invalid 'messages': empty array. Expected an array with minimum length 1, but got an empty array instead.",
+            'messages', 'empty_array'));
+    }
+
+    // Tools: objects of function type, name format, schema shape, strict schemas
+    if (body.tools !== undefined && !Array.isArray(body.tools)) {
+        errors.push(invalidRequest(`Invalid type for 'tools': expected an array of objects, but got ${typeName(body.tools)} instead.`,
+            'tools', 'invalid_type'));
+    }
+    const tools = Array.isArray(body.tools) ? body.tools : [];
+    tools.forEach((tool, i) => {
+        if (!isObject(tool)) {
+            errors.push(invalidRequest(`Invalid type for 'tools[${i}]': expected an object, but got ${typeName(tool)} instead.`,
+                `tools[${i}]`, 'invalid_type'));
+            return;
+        }
+        if (tool.type !== 'function') {
+            errors.push(invalidRequest(`Invalid value: '${tool.type}'. Supported values are: 'function' and 'custom'.`,
+                `tools[${i}].type`, 'invalid_value'));
+            return;
+        }
+        if (tool.function !== undefined && !isObject(tool.function)) {
+            errors.push(invalidRequest(`Invalid type for 'tools[${i}].function': expected an object, but got ${typeName(tool.function)} instead.`,
+                `tools[${i}].function`, 'invalid_type'));
+            return;
+        }
+        const fn = tool.function || {};
+        if (typeof fn.name !== 'string' || fn.name === '') {
+            errors.push(invalidRequest(`Missing required parameter: 'tools[${i}].function.name'.`,
+                `tools[${i}].function.name`, 'missing_required_parameter'));
+        } else if (fn.name.length > TOOL_NAME_MAX_LENGTH) {
+            errors.push(invalidRequest(`Invalid 'tools[${i}].function.name': string too long. Expected a string with maximum length ${TOOL_NAME_MAX_LENGTH}, but got a string with length ${fn.name.length} instead.`,
+                `tools[${i}].function.name`, 'string_above_max_length'));
+        } else if (!TOOL_NAME_PATTERN.test(fn.name)) {
+            errors.push(invalidRequest(`Invalid 'tools[${i}].function.name': string does not match pattern. Expected a string that matches the pattern '${TOOL_NAME_PATTERN.source}'.`,
+                `tools[${i}].function.name`, 'invalid_value'));
+        }
+        if (fn.description !== undefined && typeof fn.description !== 'string') {
+            errors.push(invalidRequest(`Invalid type for 'tools[${i}].function.description': expected a string, but got ${typeName(fn.description)} instead.`,
+                `tools[${i}].function.description`, 'invalid_type'));
+        }
+        if (fn.parameters !== undefined) {
+            const problem = checkSchemaShape(fn.parameters);
+            if (problem) {
+                errors.push(invalidRequest(`Invalid schema for function '${fn.name}': ${problem}`,
+                    `tools[${i}].function.parameters`, 'invalid_function_parameters'));
+                return;
+            }
+        }
+        if (fn.strict === true) {
+            const problem = checkStrictSchema(fn.parameters || {});
+            if (problem) {
+                errors.push(invalidRequest(`Invalid schema for function '${fn.name}': ${problem}`,
+                    `tools[${i}].function.parameters`, 'invalid_function_parameters'));
+            }
+        }
+    });
+
+    // Messages: roles, every tool message answers a call of the assistant turn before it,
+    // every call is answered before the next non-tool message
+    let pendingCalls = new Map();
+    let pendingIndex = null;
+    const reportUnanswered = () => {
+        if (pendingCalls.size === 0) return;
+        errors.push(invalidRequest(`An assistant message with 'tool_calls' must be followed by tool messages responding to each 'tool_call_id'. The following tool_call_ids did not have response messages: ${[...pendingCalls.keys()].join(', ')}`,
+            `messages.[${pendingIndex}].role`));
+        pendingCalls = new Map();
+    };
+
+    body.messages.forEach((message, i) => {
+        if (!isObject(message)) {
+            errors.push(invalidRequest(`Invalid type for 'messages[${i}]': expected an object, but got ${typeName(message)} instead.`,
+                `messages[${i}]`, 'invalid_type'));
+            return;
+        }
+        if (!CHAT_ROLES.includes(message.role)) {
+            errors.push(invalidRequest(`Invalid value: '${message.role}'. Supported values are: ${CHAT_ROLES.slice(0, -1).map(role => `'${role}'`).join(', ')}, and '${CHAT_ROLES[CHAT_ROLES.length - 1]}'.`,
+                `messages[${i}].role`, 'invalid_value'));
+            return;
+        }
+        const shapeError = checkMessageContent(message, i) || checkToolCalls(message, i);
+        if (shapeError) {
+            errors.push(shapeError);
+            return;
+        }
+
+        if (message.role === 'tool') {
+            if (!message.tool_call_id) {
+                errors.push(invalidRequest(`Missing required parameter: 'messages.[${i}].tool_call_id'.`,
+                    `messages.[${i}].tool_call_id`, 'missing_required_parameter'));
+            } else if (!pendingCalls.delete(message.tool_call_id)) {
+                errors.push(invalidRequest("Invalid parameter: messages with role 'tool' must be a response to a preceeding message with 'tool_calls'.",
+                    `messages.[${i}].role`));
+            }
+            return;
+        }
+
+        reportUnanswered();
+        if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+            pendingIndex = i;
+            for (const call of message.tool_calls) {
+                pendingCalls.set(call.id, i);
+            }
+        }
+    });
+    reportUnanswered();
+
+    // Structured output
+    const jsonSchema = body.response_format && body.response_format.type === 'json_schema' && body.response_format.json_schema;
+    if (jsonSchema && jsonSchema.strict === true) {
+        const problem = checkStrictSchema(jsonSchema.schema || {});
+        if (problem) {
+            errors.push(invalidRequest(`Invalid schema for response_format '${jsonSchema.name}': ${problem}`, 'response_format'));
+        }
+    }
+
+    return errors;
+}
+
+// ============================================
+// FIXTURES
+// ============================================
+
+/**
+ * Read a fixtures file: { "fixtures": [{ description, match, content | tool_calls | status + error }] }
+ * - match (all optional): lastRole, contentIncludes (last message, case-insensitive),
+ *   toolResultOf (the last message answers a call of this tool), model
+ * - content: reply text (an object is sent as JSON - structured output)
+ * - tool_calls: [{ name, arguments }] - arguments object or JSON string
+ * - status + error: a scripted API error, e.g. 429 { message, type, code }
+ */
+function loadFixtures(file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const fixtures = Array.isArray(parsed) ? parsed : parsed.fixtures;
+    if (!Array.isArray(fixtures)) {
+        throw new Error(`${file}: expected { "fixtures": [...] }`);
+    }
+    fixtures.forEach((fixture, i) => {
+        if (fixture.content === undefined && !Array.isArray(fixture.tool_calls) && !fixture.error) {
+            throw new Error(`${file}: fixture ${i} needs "content", "tool_calls" or "status" + "error"`);
+        }
+    });
+    return fixtures;
+}
+
+/**
+ * Text of a message's content (string or content parts)
+ */
+function getMessageText(message) {
+    if (!message) return '';
+    if (Array.isArray(message.content)) {
+        return message.content.map(part => part.text || '').join('\n');
+    }
+    return typeof message.content === 'string' ? message.content : '';
+}
+
+/**
+ * Find the first fixture whose match conditions all hold for the request (null when none does)
+ */
+function matchFixture(fixtures, body) {
+    const messages = body.messages;
+    const last = messages[messages.length - 1];
+
+    // Name of the tool the last message answers
+    let answeredTool = null;
+    if (last && last.role === 'tool') {
+        for (const message of messages) {
+            for (const call of message.tool_calls || []) {
+                if (call.id === last.tool_call_id) answeredTool = call.function && call.function.name;
+            }
+        }
+    }
+
+    return fixtures.find(fixture => {
+        const match = fixture.match || {};
+        if (match.lastRole && (!last || last.role !== match.lastRole)) return false;
+        if (match.contentIncludes && !getMessageText(last).toLowerCase().includes(String(match.contentIncludes).toLowerCase())) return false;
+        if (match.toolResultOf && answeredTool !== match.toolResultOf) return false;
+        if (match.model && body.model !== match.model) return false;
+        return true;
+    }) || null;
+}
+
+// ============================================
+// RESPONSES
+// ============================================
+
+let encoder = null;
+let completionCounter = 0;
+
+/**
+ * Token count of a request (the same estimate as the UI's token card)
+ */
+function countPromptTokens(body) {
+    if (!encoder) encoder = createEncoder('o200k_base', require('./vendor/tiktoken/o200k_base'));
+    return countChatTokens(encoder, body.messages, body.tools).total;
+}
+
+/**
+ * Build the chat.completion object for a request answered by a fixture (or the default reply)
+ */
+function buildChatCompletion(body, fixture) {
+    completionCounter += 1;
+    const reply = fixture || { content: 'Mock response - no fixture matched this request.' };
+    const content = reply.content === undefined
+        ? null
+        : typeof reply.content === 'string' ? reply.content : JSON.stringify(reply.content);
+    const toolCalls = (reply.tool_calls || []).map((call, i) => ({
+        id: call.id || `call_mock_${completionCounter}_${i + 1}`,
+        type: 'function',
+        function: {
+            name: call.name,
+            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+        }
+    }));
+
+    const promptTokens = countPromptTokens(body);
+    const completionTokens = encoder.count(content || '') +
+        toolCalls.reduce((sum, call) => sum + encoder.count(call.function.name) + encoder.count(call.function.arguments), 0);
+
+    const message = { role: 'assistant', content: content, refusal: null };
+    if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+    return {
+        id: `chatcmpl-mock-${completionCounter}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: body.model || 'mock-model',
+        choices: [{
+            index: 0,
+            message: message,
+            logprobs: null,
+            finish_reason: reply.finish_reason || (toolCalls.length > 0 ? 'tool_calls' : 'stop')
+        }],
+        usage: {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+            prompt_tokens_details: { cached_tokens: 0 },
+            completion_tokens_details: { reasoning_tokens: 0 }
+        }
+    };
+}
+
+/**
+ * Split a chat.completion into the chat.completion.chunk events a streaming request gets
+ */
+function toCompletionChunks(completion, includeUsage) {
+    const { message, finish_reason: finishReason } = completion.choices[0];
+    const chunk = (delta, finish = null) => ({
+        id: completion.id,
+        object: 'chat.completion.chunk',
+        created: completion.created,
+        model: completion.model,
+        choices: [{ index: 0, delta: delta, logprobs: null, finish_reason: finish }]
+    });
+
+    const chunks = [chunk({ role: 'assistant', content: '', refusal: null })];
+    for (const piece of (message.content || '').match(/\S+\s*|\s+/g) || []) {
+        chunks.push(chunk({ content: piece }));
+    }
+    (message.tool_calls || []).forEach((call, index) => {
+        chunks.push(chunk({ tool_calls: [{ index: index, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] }));
+        chunks.push(chunk({ tool_calls: [{ index: index, function: { arguments: call.function.arguments } }] }));
+    });
+    chunks.push(chunk({}, finishReason));
+    if (includeUsage) {
+        chunks.push({ ...chunk({}), choices: [], usage: completion.usage });
+    }
+    return chunks;
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Send an API-style JSON error
+ */
+function sendError(res, status, error) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: error }, null, 2));
+}
+
+/**
+ * Answer one request (after the configured latency)
+ */
+function handleRequest(req, res, rawBody, options) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+    if (req.method !== 'POST' || !/\/chat\/completions\/?$/.test(pathname)) {
+        sendError(res, 404, invalidRequest(`Invalid URL (${req.method} ${pathname})`, null));
+        return;
+    }
+
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+    } catch (e) {
+        sendError(res, 400, invalidRequest("We could not parse the JSON body of your request. (HINT: This likely means you aren't using your HTTP library correctly. The OpenAI API expects a JSON payload, but what was sent was not valid JSON.)", null));
+        return;
+    }
+
+    const errors = validateChatRequest(body);
+    if (errors.length > 0) {
+        sendError(res, 400, errors[0]);
+        return;
+    }
+
+    const fixture = matchFixture(options.fixtures, body);
+    if (fixture && fixture.error) {
+        sendError(res, fixture.status || 400, { type: 'invalid_request_error', param: null, code: null, ...fixture.error });
+        return;
+    }
+
+    const completion = buildChatCompletion(body, fixture);
+    if (body.stream === true) {
+        res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        const includeUsage = Boolean(body.stream_options && body.stream_options.include_usage);
+        for (const chunk of toCompletionChunks(completion, includeUsage)) {
+            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+        return;
+    }
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(completion, null, 2));
+}
+
+/**
+ * Create the mock server (not listening yet)
+ * Options: { fixtures: [...] (see loadFixtures), latencyMs }
+ */
+function createMockServer(options = {}) {
+    const settings = { fixtures: [], latencyMs: 0, ...options };
+    return http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const rawBody = Buffer.concat(chunks).toString('utf8');
+            setTimeout(() => {
+                try {
+                    handleRequest(req, res, rawBody, settings);
+                } catch (error) {
+                    console.error(`❌ ${req.method} ${req.url}: ${error.stack || error.message}`);
+                    if (res.headersSent) {
+                        res.end();
+                    } else {
+                        sendError(res, 500, { message: `Mock server error: ${error.message}`, type: 'server_error', param: null, code: null });
+                    }
+                }
+            }, settings.latencyMs);
+        });
+    });
+}
+
+module.exports = {
+    CHAT_ROLES,
+    checkStrictSchema,
+    validateChatRequest,
+    loadFixtures,
+    matchFixture,
+    buildChatCompletion,
+    toCompletionChunks,
+    createMockServer
+};
+
+// ============================================
+// MAIN EXECUTION
+// ============================================
+
+if (require.main === module) {
+    let args;
+    try {
+        args = parseArgs({ options: OPTIONS });
+    } catch (e) {
+        console.error(`llm-curl-mock: ${e.message}`);
+        process.exit(1);
+    }
+    const { values } = args;
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        process.exit(0);
+    }
+
+    const port = parseInt(values.port, 10);
+    const latencyMs = parseInt(values.latency, 10);
+    if (Number.isNaN(port) || Number.isNaN(latencyMs)) {
+        console.error('llm-curl-mock: --port and --latency expect numbers');
+        process.exit(1);
+    }
+
+    let fixtures;
+    try {
+        fixtures = loadFixtures(values.fixtures);
+    } catch (e) {
+        console.error(`llm-curl-mock: cannot load fixtures: ${e.message}`);
+        process.exit(1);
+    }
+
+    const server = createMockServer({ fixtures, latencyMs });
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`✅ Mock Chat Completions on http://localhost:${port}/v1/chat/completions (${fixtures.length} fixtures from ${values.fixtures})`);
+    });
+}
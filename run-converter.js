@@ -1,61 +1,550 @@
+#!/usr/bin/env node
+/**
+ * LLM CURL GENERATOR - Command Line Tool
+ * Converts Qi Studio tools / messages / agent nodes into an OpenAI request
+ * body, curl command, PowerShell command or Python / JavaScript snippet.
+ * Run with: llm-curl [options] [input files...]   (or: node run-converter.js ...)
+ */
+
 const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    DEFAULT_CONFIG,
+    TARGETS,
+    AUTH_MODES,
+    isAgentNodeJson,
+    parseConversations,
+    formatReportEntry,
+    convertTools,
+    buildToolNameMap,
+    convertMessages,
+    generateRequestBody,
+    getModelName,
+    getApiKeyEnv,
+    CMD_MAX_LENGTH,
+    generateCurlCommand,
+    generatePowerShellCommand
+} = require('./converter');
+const { checkCommandConsistency } = require('./command-parser');
+const { generateRequestBundle } = require('./bundle');
+const { generateClientExports } = require('./client-exports');
+const { generateBatchFile } = require('./batch');
+const { FINE_TUNE_WEIGHTS, generateFineTuneFile } = require('./finetune');
+const {
+    ENCODINGS,
+    DEFAULT_PRICE_TABLE,
+    loadEncoding,
+    countChatTokens,
+    findModelPricing,
+    estimateCost
+} = require('./tokenizer');
+const {
+    generatePythonRequestsSnippet,
+    generatePythonSdkSnippet,
+    generateFetchSnippet,
+    generateNodeSdkSnippet
+} = require('./snippets');
 
-// Load the script.js functions
-const scriptContent = fs.readFileSync('./script.js', 'utf8');
+const USAGE = `Usage: llm-curl [options] [input files...]
 
-// Create minimal browser stubs
-const fakeEl = () => ({
-    value: '', textContent: '', className: '', style: {},
-    addEventListener: () => {}, scrollIntoView: () => {},
-    querySelector: () => ({ innerHTML: '', classList: { add(){}, remove(){} } }),
-    closest: () => ({ querySelector: () => ({ innerHTML: '', classList: { add(){}, remove(){} } }) })
-});
+Inputs (JSON files, or "-" for stdin):
+  [input files...]                Auto-detected: tools array, messages array, agent node
+                                  or a {"messages": [...], "tools": [...]} file
+                                  (--format batch / finetune: any number of conversation files,
+                                  each a messages array or an array of conversations)
+  -t, --tools <file>              Tools array (Qi Studio or OpenAI format)
+  -m, --messages <file>           Messages array
+  -a, --agent <file>              Agent node JSON (tools + model settings)
+
+Request configuration:
+      --target <target>           ${Object.keys(TARGETS).join(' | ')} (default: ${DEFAULT_CONFIG.target})
+      --model <model>             Model name (sent in the body for all but the openai target)
+  -e, --endpoint <url>            API endpoint URL
+  -v, --api-version <version>     API version (default: ${DEFAULT_CONFIG.apiVersion})
+  -k, --api-key <key>             API key (default: a reference to the target's key variable -
+                                  \$OPENAI_API_KEY, \$ANTHROPIC_API_KEY, \$GEMINI_API_KEY - when
+                                  it is set, else placeholder)
+      --auth <mode>               ${Object.keys(AUTH_MODES).join(' | ')} - how OpenAI targets send the key
+                                  (default: ${DEFAULT_CONFIG.authMode})
+      --key-from-env              Read the key from the target's environment variable
+                                  (\$OPENAI_API_KEY, \$env:OPENAI_API_KEY, os.environ[...]) instead
+                                  of embedding it
+  -H, --host <host>               Host header (default: ${DEFAULT_CONFIG.hostHeader})
+      --temperature <n>           Temperature (default: ${DEFAULT_CONFIG.temperature})
+      --top-p <n>                 Top P (default: ${DEFAULT_CONFIG.topP})
+      --tool-choice <choice>      auto | none | required (default: ${DEFAULT_CONFIG.toolChoice})
+      --frequency-penalty <n>     Frequency penalty (default: ${DEFAULT_CONFIG.frequencyPenalty})
+      --presence-penalty <n>      Presence penalty (default: ${DEFAULT_CONFIG.presencePenalty})
+      --max-tokens <n>            Max output tokens (default: ${DEFAULT_CONFIG.maxOutputTokens})
+      --stream                    Streaming request (stream + include_usage, curl --no-buffer,
+                                  PowerShell reads the event stream line by line)
+  -r, --reasoning-effort <level>  Enable reasoning: low | medium | high | xhigh
+      --no-reasoning              Disable reasoning taken from an agent node
+      --unanswered <mode>         Unanswered tool calls: stub | remove (default: ${DEFAULT_CONFIG.unansweredToolCalls})
+      --multimodal                Keep image / audio / file parts on user messages
+  -s, --schema <file>             Structured output JSON schema file
+      --no-schema                 Disable structured output taken from an agent node
+
+Output:
+  -f, --format <format>           body | curl | curl-cmd | powershell | python | python-sdk |
+                                  fetch | ts-sdk | bundle | postman | postman-env | insomnia |
+                                  bruno | http | batch | finetune (default: body; curl-cmd is for
+                                  cmd.exe, bundle is a zip with body.json + request.sh / .ps1,
+                                  needs --out, batch is an OpenAI Batch API .jsonl of every
+                                  conversation, finetune a chat fine-tuning .jsonl)
+      --weights <mode>            finetune: ${Object.keys(FINE_TUNE_WEIGHTS).join(' | ')} - train every assistant turn
+                                  (input "weight": 0 excluded) or the final one only (default: input)
+      --parallel-tool-calls <b>   finetune: set parallel_tool_calls to true | false on every example
+  -o, --out <file>                Write to file instead of stdout
+      --report                    Print the full conversion report to stderr
+                                  (default: warnings only)
+      --tokens                    Print the estimated prompt tokens (per message, tool results,
+                                  tool definitions) and cost to stderr
+      --encoding <encoding>       --tokens: ${ENCODINGS.join(' | ')} (default: from the price table)
+  -h, --help                      Show this help
+`;
 
-global.document = {
-    addEventListener: () => {},
-    getElementById: () => fakeEl(),
-    querySelector: () => null,
-    body: { appendChild: () => {} },
-    createElement: () => fakeEl()
+const OPTIONS = {
+    tools: { type: 'string', short: 't' },
+    messages: { type: 'string', short: 'm' },
+    agent: { type: 'string', short: 'a' },
+    target: { type: 'string' },
+    model: { type: 'string' },
+    endpoint: { type: 'string', short: 'e' },
+    'api-version': { type: 'string', short: 'v' },
+    'api-key': { type: 'string', short: 'k' },
+    auth: { type: 'string' },
+    'key-from-env': { type: 'boolean' },
+    host: { type: 'string', short: 'H' },
+    temperature: { type: 'string' },
+    'top-p': { type: 'string' },
+    'tool-choice': { type: 'string' },
+    'frequency-penalty': { type: 'string' },
+    'presence-penalty': { type: 'string' },
+    'max-tokens': { type: 'string' },
+    stream: { type: 'boolean' },
+    'reasoning-effort': { type: 'string', short: 'r' },
+    'no-reasoning': { type: 'boolean' },
+    unanswered: { type: 'string' },
+    multimodal: { type: 'boolean' },
+    schema: { type: 'string', short: 's' },
+    'no-schema': { type: 'boolean' },
+    format: { type: 'string', short: 'f', default: 'body' },
+    out: { type: 'string', short: 'o' },
+    report: { type: 'boolean' },
+    tokens: { type: 'boolean' },
+    encoding: { type: 'string' },
+    weights: { type: 'string', default: 'input' },
+    'parallel-tool-calls': { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
 };
-global.navigator = { clipboard: { writeText: async () => {} } };
 
-// Execute script.js to get functions
-eval(scriptContent);
+const CLIENT_EXPORT_FORMATS = ['postman', 'postman-env', 'insomnia', 'bruno', 'http'];
+const FORMATS = ['body', 'curl', 'curl-cmd', 'powershell', 'python', 'python-sdk', 'fetch', 'ts-sdk', 'bundle', 'batch', 'finetune']
+    .concat(CLIENT_EXPORT_FORMATS);
+const TOOL_CHOICES = ['auto', 'none', 'required'];
+const REASONING_EFFORTS = ['low', 'medium', 'high', 'xhigh'];
+const UNANSWERED_MODES = ['stub', 'remove'];
 
-// Load input
-const input = JSON.parse(fs.readFileSync('./test-input.json', 'utf8'));
+// ============================================
+// HELPERS
+// ============================================
 
-// Convert tools
-const convertedTools = convertTools(input.tools);
+/**
+ * Print an error and exit
+ */
+function fail(message) {
+    console.error(`llm-curl: ${message}`);
+    console.error('Run "llm-curl --help" for usage.');
+    process.exit(1);
+}
 
-// Build tool name map
-const toolMap = buildToolNameMap(input.tools);
+/**
+ * Read and parse a JSON file ("-" reads stdin)
+ */
+function readJSON(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (e) {
+        fail(`cannot read ${file === '-' ? 'stdin' : file}: ${e.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        fail(`invalid JSON in ${file === '-' ? 'stdin' : file}: ${e.message}`);
+    }
+}
 
-// Convert messages
-const convertedMessages = convertMessages(input.messages, toolMap);
+/**
+ * Parse a numeric flag, failing on garbage
+ */
+function parseNumber(name, value, parser = parseFloat) {
+    const number = parser(value);
+    if (Number.isNaN(number)) {
+        fail(`--${name} expects a number, got "${value}"`);
+    }
+    return number;
+}
 
-// Build final request body
-const requestBody = {
-    temperature: 0.1,
-    top_p: 0.1,
-    tool_choice: "auto",
-    messages: convertedMessages,
-    tools: convertedTools
-};
+/**
+ * Check whether an array looks like a tools array (Qi Studio or OpenAI format)
+ */
+function isToolsArray(arr) {
+    return arr.length > 0 && arr.every(item =>
+        item && (item.type === 'tool' || (item.type === 'function' && item.function))
+    );
+}
+
+/**
+ * Pull model settings out of an agent node (same fields the web UI auto-fills)
+ */
+function configFromAgentNode(agentNode) {
+    const model = agentNode.config.model || {};
+    const structuredOutput = agentNode.config.structuredOutput || {};
+    const config = {};
+
+    if (model.temperature !== undefined) {
+        config.temperature = model.temperature;
+    }
+    if (model.reasoningEffort) {
+        config.reasoningEnabled = true;
+        config.reasoningEffort = model.reasoningEffort;
+    }
+    if (structuredOutput.enable === true && structuredOutput.schema) {
+        config.structuredOutputEnabled = true;
+        config.structuredOutputSchema = structuredOutput.schema;
+    }
+    return config;
+}
+
+/**
+ * Add the conversations in one parsed messages input (custom_ids default to the file name);
+ * the last one is the conversation converted by the single-request formats
+ */
+function collectConversations(parsed, file, inputs) {
+    const source = file === '-' ? 'stdin' : path.basename(file, path.extname(file));
+    let conversations;
+    try {
+        conversations = parseConversations(parsed, source);
+    } catch (e) {
+        fail(e.message);
+    }
+    inputs.conversations.push(...conversations);
+    if (conversations.length > 1) inputs.conversationListFile = file === '-' ? 'stdin' : file;
+    inputs.messages = conversations[conversations.length - 1].messages;
+}
+
+/**
+ * Sort one parsed input into tools / messages / agent config
+ */
+function collectInput(parsed, file, inputs) {
+    if (isAgentNodeJson(parsed)) {
+        inputs.tools = parsed.config.tools;
+        inputs.agentConfig = configFromAgentNode(parsed);
+    } else if (parsed && Array.isArray(parsed.messages)) {
+        collectConversations(parsed, file, inputs);
+        if (Array.isArray(parsed.tools)) inputs.tools = parsed.tools;
+    } else if (Array.isArray(parsed)) {
+        if (isToolsArray(parsed)) {
+            inputs.tools = parsed;
+        } else {
+            collectConversations(parsed, file, inputs);
+        }
+    } else {
+        fail(`${file === '-' ? 'stdin' : file} is not a tools array, messages array or agent node`);
+    }
+}
+
+/**
+ * Print the prompt token estimate and cost of the converted request to stderr
+ */
+async function printTokenEstimate(config, messages, tools, encodingName) {
+    const model = getModelName(config);
+    const pricing = findModelPricing(DEFAULT_PRICE_TABLE, model);
+    const encoder = await loadEncoding(encodingName || (pricing && pricing.encoding) || ENCODINGS[0]);
+    const counts = countChatTokens(encoder, messages, tools);
+
+    const line = (label, value) => console.error(`   ${label.padEnd(24)}${value}`);
+
+    console.error(`🔢 Prompt tokens (${counts.encoding}, estimate):`);
+    line('System prompt', counts.systemPrompt);
+    for (const message of counts.messages) {
+        line(`Message ${message.index} (${message.role})`, message.tokens);
+    }
+    line('Tool results', counts.toolResults);
+    line('Tool definitions', counts.toolDefinitions);
+    line('Total', counts.total);
+    line('Max output tokens', config.maxOutputTokens);
+
+    if (!pricing) {
+        console.error(`   No price for "${model || 'unknown model'}" in the price table`);
+        return;
+    }
+    const cost = estimateCost(pricing, counts.total, config.maxOutputTokens);
+    line(`Cost (${pricing.model})`, `$${cost.input.toFixed(5)} input + up to $${cost.maxOutput.toFixed(5)} output`);
+    if (pricing.contextWindow && counts.total + config.maxOutputTokens > pricing.contextWindow) {
+        console.error(`⚠️  Prompt + max output tokens exceed the ${pricing.contextWindow}-token context window of ${pricing.model}`);
+    }
+}
+
+// ============================================
+// MAIN EXECUTION
+// ============================================
 
-// Write output
-fs.writeFileSync('./converted-output.json', JSON.stringify(requestBody, null, 2));
+let args;
+try {
+    args = parseArgs({ options: OPTIONS, allowPositionals: true });
+} catch (e) {
+    fail(e.message);
+}
+const { values, positionals } = args;
 
-console.log('=== CONVERSION COMPLETE ===');
-console.log('Messages:', convertedMessages.length);
-console.log('Tools:', convertedTools.length);
-console.log('');
-console.log('Message roles:');
-convertedMessages.forEach((m, i) => {
-    console.log(`  ${i}: ${m.role}${m.tool_call_id ? ` (tool_call_id=${m.tool_call_id})` : ''}${m.tool_calls ? ` (has tool_calls)` : ''}`);
+if (values.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+}
+
+if (!FORMATS.includes(values.format)) {
+    fail(`--format must be one of: ${FORMATS.join(', ')}`);
+}
+if (values.format === 'bundle' && !values.out) {
+    fail('--format bundle writes a zip file - use --out <file.zip>');
+}
+if (values.encoding !== undefined && !ENCODINGS.includes(values.encoding)) {
+    fail(`--encoding must be one of: ${ENCODINGS.join(', ')}`);
+}
+
+// Load inputs
+const inputs = { tools: null, messages: null, conversations: [], agentConfig: {} };
+
+for (const file of positionals) {
+    collectInput(readJSON(file), file, inputs);
+}
+if (values.agent) {
+    const agentNode = readJSON(values.agent);
+    if (!isAgentNodeJson(agentNode)) {
+        fail(`${values.agent} is not an agent node (expected type "agent" with config.tools)`);
+    }
+    collectInput(agentNode, values.agent, inputs);
+}
+if (values.tools) {
+    const tools = readJSON(values.tools);
+    if (!Array.isArray(tools)) fail(`${values.tools} is not a JSON array`);
+    inputs.tools = tools;
+}
+if (values.messages) {
+    const messages = readJSON(values.messages);
+    if (!Array.isArray(messages)) fail(`${values.messages} is not a JSON array`);
+    collectConversations(messages, values.messages, inputs);
+}
+
+if (!inputs.messages) {
+    if (positionals.length === 0 && !values.tools && !values.agent) {
+        process.stderr.write(USAGE);
+        process.exit(1);
+    }
+    fail('no messages given (use --messages or a messages file)');
+}
+
+// Build config: defaults < agent node < flags
+const config = { ...DEFAULT_CONFIG, ...inputs.agentConfig };
+
+if (values.target !== undefined) {
+    if (!TARGETS[values.target]) {
+        fail(`--target must be one of: ${Object.keys(TARGETS).join(', ')}`);
+    }
+    config.target = values.target;
+}
+if (values.model !== undefined) config.model = values.model;
+if (values.endpoint !== undefined) config.apiEndpoint = values.endpoint;
+if (values['api-version'] !== undefined) config.apiVersion = values['api-version'];
+if (values['api-key'] !== undefined) config.apiKey = values['api-key'];
+if (values.auth !== undefined) {
+    if (!AUTH_MODES[values.auth]) {
+        fail(`--auth must be one of: ${Object.keys(AUTH_MODES).join(', ')}`);
+    }
+    config.authMode = values.auth;
+}
+// Without --api-key, a key in the target's variable is referenced, never written into the output
+if (values['key-from-env'] || (values['api-key'] === undefined && process.env[getApiKeyEnv(config)])) {
+    config.apiKeyFromEnv = true;
+}
+if (values.host !== undefined) config.hostHeader = values.host;
+if (values.temperature !== undefined) config.temperature = parseNumber('temperature', values.temperature);
+if (values['top-p'] !== undefined) config.topP = parseNumber('top-p', values['top-p']);
+if (values['frequency-penalty'] !== undefined) {
+    config.frequencyPenalty = parseNumber('frequency-penalty', values['frequency-penalty']);
+}
+if (values['presence-penalty'] !== undefined) {
+    config.presencePenalty = parseNumber('presence-penalty', values['presence-penalty']);
+}
+if (values['max-tokens'] !== undefined) {
+    config.maxOutputTokens = parseNumber('max-tokens', values['max-tokens'], v => parseInt(v, 10));
+}
+if (values['tool-choice'] !== undefined) {
+    if (!TOOL_CHOICES.includes(values['tool-choice'])) {
+        fail(`--tool-choice must be one of: ${TOOL_CHOICES.join(', ')}`);
+    }
+    config.toolChoice = values['tool-choice'];
+}
+if (values['reasoning-effort'] !== undefined) {
+    if (!REASONING_EFFORTS.includes(values['reasoning-effort'])) {
+        fail(`--reasoning-effort must be one of: ${REASONING_EFFORTS.join(', ')}`);
+    }
+    config.reasoningEnabled = true;
+    config.reasoningEffort = values['reasoning-effort'];
+}
+if (values['no-reasoning']) {
+    config.reasoningEnabled = false;
+    config.reasoningEffort = null;
+}
+if (values.unanswered !== undefined) {
+    if (!UNANSWERED_MODES.includes(values.unanswered)) {
+        fail(`--unanswered must be one of: ${UNANSWERED_MODES.join(', ')}`);
+    }
+    config.unansweredToolCalls = values.unanswered;
+}
+if (values.stream) config.streamEnabled = true;
+if (values.multimodal) config.multimodalEnabled = true;
+if (values.schema !== undefined) {
+    config.structuredOutputEnabled = true;
+    config.structuredOutputSchema = readJSON(values.schema);
+}
+if (values['no-schema']) {
+    config.structuredOutputEnabled = false;
+    config.structuredOutputSchema = null;
+}
+
+// Batch: every conversation becomes one .jsonl request line
+if (values.format === 'batch') {
+    let batch;
+    try {
+        batch = generateBatchFile(config, inputs.conversations, inputs.tools || []);
+    } catch (e) {
+        fail(e.message);
+    }
+    for (const warning of batch.warnings) {
+        console.error(`⚠️  ${warning}`);
+    }
+    for (const id of batch.skipped) {
+        console.error(`⚠️  ${id}: skipped - no valid messages after conversion`);
+    }
+    if (batch.count === 0) {
+        fail('no conversation had valid messages after conversion');
+    }
+    if (values.out) {
+        fs.writeFileSync(values.out, batch.content);
+        console.error(`✅ ${batch.count} requests → ${values.out}`);
+    } else {
+        process.stdout.write(batch.content);
+    }
+    process.exit(0);
+}
+// Fine-tuning: every valid conversation becomes one .jsonl example
+if (values.format === 'finetune') {
+    if (!FINE_TUNE_WEIGHTS[values.weights]) {
+        fail(`--weights must be one of: ${Object.keys(FINE_TUNE_WEIGHTS).join(', ')}`);
+    }
+    const parallel = values['parallel-tool-calls'];
+    if (parallel !== undefined && parallel !== 'true' && parallel !== 'false') {
+        fail('--parallel-tool-calls must be true or false');
+    }
+    const dataset = generateFineTuneFile(config, inputs.conversations, inputs.tools || [], {
+        weights: values.weights,
+        parallelToolCalls: parallel === undefined ? undefined : parallel === 'true'
+    });
+    for (const warning of dataset.warnings) {
+        console.error(`⚠️  ${warning}`);
+    }
+    for (const error of dataset.errors) {
+        console.error(`❌ ${error}`);
+    }
+    if (dataset.count === 0) {
+        fail('no conversation is a valid fine-tuning example');
+    }
+    if (values.out) {
+        fs.writeFileSync(values.out, dataset.content);
+        console.error(`✅ ${dataset.count} examples → ${values.out}`);
+    } else {
+        process.stdout.write(dataset.content);
+    }
+    process.exit(0);
+}
+if (inputs.conversationListFile) {
+    fail(`${inputs.conversationListFile} holds several conversations - use --format batch`);
+}
+
+// Convert (every skipped, dropped, renamed or synthesized item lands in the report)
+const report = [];
+const inputTools = inputs.tools || [];
+const convertedTools = convertTools(inputTools, report);
+const convertedMessages = convertMessages(inputs.messages, buildToolNameMap(inputTools), {
+    multimodal: config.multimodalEnabled,
+    unansweredToolCalls: config.unansweredToolCalls,
+    report: report
 });
-console.log('');
-console.log('Output written to: converted-output.json');
 
+const requestBody = convertedMessages.length > 0
+    ? generateRequestBody(config, convertedMessages, convertedTools, report)
+    : null;
+
+for (const entry of report) {
+    if (entry.level === 'warning') {
+        console.error(`⚠️  ${formatReportEntry(entry)}`);
+    } else if (values.report) {
+        console.error(`ℹ️  ${formatReportEntry(entry)}`);
+    }
+}
+
+if (!requestBody) {
+    fail('no valid messages found after conversion');
+}
+
+let output;
+if (values.format === 'curl') {
+    output = generateCurlCommand(config, requestBody);
+} else if (values.format === 'curl-cmd') {
+    output = generateCurlCommand(config, requestBody, 'cmd');
+    if (output.length > CMD_MAX_LENGTH) {
+        console.error(`⚠️  Command is ${output.length} characters - cmd.exe only accepts ${CMD_MAX_LENGTH}`);
+    }
+} else if (values.format === 'powershell') {
+    output = generatePowerShellCommand(config, requestBody);
+} else if (values.format === 'python') {
+    output = generatePythonRequestsSnippet(config, requestBody);
+} else if (values.format === 'python-sdk') {
+    output = generatePythonSdkSnippet(config, requestBody);
+} else if (values.format === 'fetch') {
+    output = generateFetchSnippet(config, requestBody);
+} else if (values.format === 'ts-sdk') {
+    output = generateNodeSdkSnippet(config, requestBody);
+} else if (CLIENT_EXPORT_FORMATS.includes(values.format)) {
+    output = generateClientExports(config, requestBody)[values.format].content.replace(/\n$/, '');
+} else {
+    output = JSON.stringify(requestBody, null, 2);
+}
+
+// Shell commands must parse back to exactly the request body (self-consistency check with our own parser)
+if (['curl', 'curl-cmd', 'powershell'].includes(values.format)) {
+    const problem = checkCommandConsistency(output, requestBody);
+    if (problem) {
+        console.error(`⚠️  Command does not parse back to the request body (self-consistency check): ${problem}`);
+    }
+}
+
+if (values.tokens) {
+    printTokenEstimate(config, convertedMessages, convertedTools, values.encoding)
+        .catch(e => fail(e.message));
+}
 
+if (values.format === 'bundle') {
+    fs.writeFileSync(values.out, generateRequestBundle(config, requestBody));
+    console.error(`✅ ${convertedMessages.length} msgs, ${convertedTools.length} tools → ${values.out}`);
+} else if (values.out) {
+    fs.writeFileSync(values.out, output + '\n');
+    console.error(`✅ ${convertedMessages.length} msgs, ${convertedTools.length} tools → ${values.out}`);
+} else {
+    process.stdout.write(output + '\n');
+}
@@ -0,0 +1,423 @@
+/**
+ * LLM CURL GENERATOR - Request Runner
+ * Sends the generated request (directly or through the local proxy) and normalizes the
+ * response of every target - JSON or server-sent events - into text, tool calls,
+ * finish reason and usage, and turns a response into the messages that continue the
+ * conversation (no DOM access).
+ * Loaded by index.html as a plain <script> after converter.js (exposes window.RequestRunner)
+ * and by the Node scripts via require('./runner').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./converter'));
+    } else {
+        root.RequestRunner = factory(root.CurlConverter);
+    }
+})(typeof self !== 'undefined' ? self : this, function (converter) {
+'use strict';
+
+const {
+    API_KEY_SENTINEL,
+    getRequestUrl,
+    getRequestHeaders,
+    getApiKeyEnv
+} = converter;
+
+/**
+ * Where the Run button sends the request:
+ * - direct: straight from the browser (no Host override, needs CORS and a trusted certificate)
+ * - proxy: POST to the local proxy, which forwards it with the Host header
+ */
+const RUN_MODES = {
+    direct: { label: 'Direct' },
+    proxy: { label: 'Local proxy' }
+};
+
+// Headers telling the proxy where to forward the request
+const PROXY_TARGET_URL_HEADER = 'X-Target-Url';
+const PROXY_TARGET_HOST_HEADER = 'X-Target-Host';
+
+// ============================================
+// REQUEST
+// ============================================
+
+/**
+ * Build the HTTP request the Run button sends: { url, method, headers, body }
+ * - direct: the generated URL & headers, minus Host (browsers do not let scripts set it)
+ * - proxy: POST to proxyUrl with the target URL in X-Target-Url and the Host override in X-Target-Host.
+ *   With apiKeyFromEnv the key is sent as a ${ENV_VAR} reference the proxy expands from its environment.
+ */
+function buildRunRequest(config, requestBody, proxyUrl) {
+    const keyConfig = proxyUrl && config.apiKeyFromEnv
+        ? { ...config, apiKey: API_KEY_SENTINEL }
+        : config;
+    const keyReference = `\${${getApiKeyEnv(config)}}`;
+    const withKey = value => String(value).split(API_KEY_SENTINEL).join(keyReference);
+
+    const targetUrl = withKey(getRequestUrl(keyConfig));
+    const headers = {};
+    let host = null;
+    for (const [name, value] of getRequestHeaders(keyConfig)) {
+        if (name.toLowerCase() === 'host') {
+            host = value;
+        } else {
+            headers[name] = withKey(value);
+        }
+    }
+
+    if (!proxyUrl) {
+        return { url: targetUrl, method: 'POST', headers: headers, body: JSON.stringify(requestBody) };
+    }
+
+    headers[PROXY_TARGET_URL_HEADER] = targetUrl;
+    if (host) headers[PROXY_TARGET_HOST_HEADER] = host;
+    return { url: proxyUrl, method: 'POST', headers: headers, body: JSON.stringify(requestBody) };
+}
+
+// ============================================
+// RESPONSE
+// ============================================
+
+/**
+ * Empty normalized response
+ * { text, toolCalls: [{ id, name, arguments }], finishReason, usage }
+ */
+function emptyResult() {
+    return { text: '', toolCalls: [], finishReason: null, usage: null };
+}
+
+/**
+ * Normalize a usage object of any target to
+ * { input, output, reasoning, cached, total } (null where the API does not report a value)
+ */
+function normalizeUsage(usage) {
+    if (!usage) return null;
+    const pick = (...values) => {
+        const found = values.find(value => typeof value === 'number');
+        return found === undefined ? null : found;
+    };
+
+    const input = pick(usage.prompt_tokens, usage.input_tokens, usage.promptTokenCount);
+    const output = pick(usage.completion_tokens, usage.output_tokens, usage.candidatesTokenCount);
+    const details = usage.completion_tokens_details || usage.output_tokens_details || {};
+    const inputDetails = usage.prompt_tokens_details || usage.input_tokens_details || {};
+    const total = pick(usage.total_tokens, usage.totalTokenCount);
+
+    return {
+        input: input,
+        output: output,
+        reasoning: pick(details.reasoning_tokens, usage.thoughtsTokenCount),
+        cached: pick(inputDetails.cached_tokens, usage.cache_read_input_tokens, usage.cachedContentTokenCount),
+        total: total !== null ? total : (input !== null && output !== null ? input + output : null)
+    };
+}
+
+/**
+ * Arguments of a tool call as a JSON string (Anthropic / Gemini return objects)
+ */
+function toArgumentsString(args) {
+    return typeof args === 'string' ? args : JSON.stringify(args || {});
+}
+
+/**
+ * Normalize a (non-streamed) JSON response body of the configured target
+ */
+function parseResponseJson(target, json) {
+    const result = emptyResult();
+
+    if (target === 'anthropic') {
+        for (const block of json.content || []) {
+            if (block.type === 'text') result.text += block.text;
+            if (block.type === 'tool_use') {
+                result.toolCalls.push({ id: block.id, name: block.name, arguments: toArgumentsString(block.input) });
+            }
+        }
+        result.finishReason = json.stop_reason || null;
+        result.usage = normalizeUsage(json.usage);
+        return result;
+    }
+
+    if (target === 'gemini') {
+        const candidate = (json.candidates || [])[0] || {};
+        for (const part of (candidate.content && candidate.content.parts) || []) {
+            if (typeof part.text === 'string' && !part.thought) result.text += part.text;
+            if (part.functionCall) {
+                result.toolCalls.push({
+                    id: part.functionCall.id || null,
+                    name: part.functionCall.name,
+                    arguments: toArgumentsString(part.functionCall.args)
+                });
+            }
+        }
+        result.finishReason = candidate.finishReason || null;
+        result.usage = normalizeUsage(json.usageMetadata);
+        return result;
+    }
+
+    if (target === 'responses') {
+        for (const item of json.output || []) {
+            if (item.type === 'message') {
+                for (const part of item.content || []) {
+                    if (part.type === 'output_text') result.text += part.text;
+                }
+            }
+            if (item.type === 'function_call') {
+                result.toolCalls.push({ id: item.call_id, name: item.name, arguments: toArgumentsString(item.arguments) });
+            }
+        }
+        // Responses has no finish_reason - status, plus why an incomplete response stopped
+        const incomplete = json.incomplete_details && json.incomplete_details.reason;
+        result.finishReason = incomplete ? `${json.status}: ${incomplete}` : json.status || null;
+        result.usage = normalizeUsage(json.usage);
+        return result;
+    }
+
+    const choice = (json.choices || [])[0] || {};
+    const message = choice.message || {};
+    result.text = typeof message.content === 'string' ? message.content : '';
+    if (message.refusal) result.text += message.refusal;
+    result.toolCalls = (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function && call.function.name,
+        arguments: toArgumentsString(call.function && call.function.arguments)
+    }));
+    result.finishReason = choice.finish_reason || null;
+    result.usage = normalizeUsage(json.usage);
+    return result;
+}
+
+/**
+ * Split a server-sent event stream into [{ event, data }] (data lines joined, "[DONE]" dropped)
+ */
+function parseServerSentEvents(text) {
+    const events = [];
+    for (const block of text.replace(/\r\n/g, '\n').split(/\n\n+/)) {
+        let event = null;
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        }
+        if (data.length === 0 || data.join('\n') === '[DONE]') continue;
+        events.push({ event: event, data: data.join('\n') });
+    }
+    return events;
+}
+
+/**
+ * Merge the events of a streamed response into one normalized response
+ */
+function parseEventStream(target, text) {
+    const result = emptyResult();
+    const chunks = [];
+    for (const { data } of parseServerSentEvents(text)) {
+        try {
+            chunks.push(JSON.parse(data));
+        } catch (e) {
+            throw new Error(`Unparseable stream event: ${data.slice(0, 200)}`);
+        }
+    }
+
+    if (target === 'responses') {
+        // The final event carries the whole response (text deltas only matter if it never arrives)
+        const done = chunks.find(chunk => chunk.type === 'response.completed' || chunk.type === 'response.incomplete' ||
+            chunk.type === 'response.failed');
+        if (done) return parseResponseJson(target, done.response);
+        result.text = chunks
+            .filter(chunk => chunk.type === 'response.output_text.delta')
+            .map(chunk => chunk.delta)
+            .join('');
+        return result;
+    }
+
+    if (target === 'anthropic') {
+        const blocks = [];
+        let usage = {};
+        for (const chunk of chunks) {
+            if (chunk.type === 'message_start') usage = { ...chunk.message.usage };
+            if (chunk.type === 'content_block_start') blocks[chunk.index] = { ...chunk.content_block, json: '' };
+            if (chunk.type === 'content_block_delta') {
+                const block = blocks[chunk.index];
+                if (chunk.delta.type === 'text_delta') block.text = (block.text || '') + chunk.delta.text;
+                if (chunk.delta.type === 'input_json_delta') block.json += chunk.delta.partial_json;
+            }
+            if (chunk.type === 'message_delta') {
+                result.finishReason = chunk.delta.stop_reason || result.finishReason;
+                usage = { ...usage, ...chunk.usage };
+            }
+        }
+        for (const block of blocks.filter(Boolean)) {
+            if (block.type === 'text') result.text += block.text || '';
+            if (block.type === 'tool_use') {
+                result.toolCalls.push({ id: block.id, name: block.name, arguments: block.json || toArgumentsString(block.input) });
+            }
+        }
+        result.usage = normalizeUsage(usage);
+        return result;
+    }
+
+    if (target === 'gemini') {
+        // Every event is a partial GenerateContentResponse
+        for (const chunk of chunks) {
+            const part = parseResponseJson(target, chunk);
+            result.text += part.text;
+            result.toolCalls.push(...part.toolCalls);
+            result.finishReason = part.finishReason || result.finishReason;
+            result.usage = part.usage || result.usage;
+        }
+        return result;
+    }
+
+    // Chat Completions: content and tool call deltas per choice index, usage in the last chunk
+    const calls = [];
+    for (const chunk of chunks) {
+        if (chunk.usage) result.usage = normalizeUsage(chunk.usage);
+        const choice = (chunk.choices || [])[0];
+        if (!choice) continue;
+        const delta = choice.delta || {};
+        if (typeof delta.content === 'string') result.text += delta.content;
+        for (const callDelta of delta.tool_calls || []) {
+            const call = calls[callDelta.index] = calls[callDelta.index] || { id: null, name: '', arguments: '' };
+            if (callDelta.id) call.id = callDelta.id;
+            if (callDelta.function && callDelta.function.name) call.name += callDelta.function.name;
+            if (callDelta.function && callDelta.function.arguments) call.arguments += callDelta.function.arguments;
+        }
+        if (choice.finish_reason) result.finishReason = choice.finish_reason;
+    }
+    result.toolCalls = calls.filter(Boolean);
+    return result;
+}
+
+/**
+ * Normalize a response body (JSON, or an event stream when the content type says so
+ * or the body starts with SSE fields)
+ * Returns { text, toolCalls: [{ id, name, arguments }], finishReason, usage }
+ */
+function parseRunResponse(target, bodyText, contentType) {
+    const isStream = /text\/event-stream/i.test(contentType || '') || /^(data|event):/.test(bodyText.trimStart());
+    if (isStream) return parseEventStream(target, bodyText);
+    return parseResponseJson(target, JSON.parse(bodyText));
+}
+
+/**
+ * Pull the error message out of an error response body (OpenAI / Azure / Anthropic / Gemini
+ * all use { error: { message } }; gateways may answer with plain text or HTML)
+ * Returns { message, body } - body pretty-printed when it is JSON
+ */
+function parseErrorBody(bodyText) {
+    try {
+        const json = JSON.parse(bodyText);
+        const error = json.error || json;
+        const message = typeof error === 'string' ? error : error.message || json.message || null;
+        return { message: message, body: JSON.stringify(json, null, 2) };
+    } catch (e) {
+        return { message: null, body: bodyText };
+    }
+}
+
+// ============================================
+// RUN
+// ============================================
+
+/**
+ * Send a request built by buildRunRequest and time it
+ * Returns { ok, status, statusText, headersMs, latencyMs, contentType, bodyText, response, error }
+ * - response: normalized response (see parseRunResponse) when the status is 2xx
+ * - error: { message, body } for HTTP errors and unparseable bodies
+ * Throws when no response arrives (network, CORS or certificate errors)
+ */
+async function runRequest(target, request, fetchImpl) {
+    const doFetch = fetchImpl || fetch;
+    const started = performance.now();
+    const response = await doFetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body
+    });
+    const headersMs = performance.now() - started;
+    const bodyText = await response.text();
+    const contentType = response.headers.get('content-type') || '';
+
+    const result = {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        headersMs: Math.round(headersMs),
+        latencyMs: Math.round(performance.now() - started),
+        contentType: contentType,
+        bodyText: bodyText,
+        response: null,
+        error: null
+    };
+
+    if (!response.ok) {
+        result.error = parseErrorBody(bodyText);
+        return result;
+    }
+    try {
+        result.response = parseRunResponse(target, bodyText, contentType);
+    } catch (error) {
+        result.ok = false;
+        result.error = { message: `Could not parse the response: ${error.message}`, body: bodyText };
+    }
+    return result;
+}
+
+// ============================================
+// CONTINUATION
+// ============================================
+
+/**
+ * Canned tool results offered when stepping through an agent loop by hand
+ */
+const CANNED_TOOL_RESULTS = {
+    success: { label: 'Success', content: '{"status": "ok"}' },
+    empty: { label: 'Empty result', content: '[]' },
+    notFound: { label: 'Not found', content: '{"error": "Not found"}' },
+    failure: { label: 'Tool error', content: '{"error": "Tool execution failed"}' }
+};
+
+/**
+ * Turn a normalized response (see parseRunResponse) into an OpenAI-format assistant message
+ * Tool calls without an id (Gemini) get a generated one so their tool results can be paired
+ */
+function buildAssistantMessage(response) {
+    const message = { role: 'assistant', content: response.text || '' };
+    if (response.toolCalls.length > 0) {
+        message.tool_calls = response.toolCalls.map((call, idx) => ({
+            id: call.id || `call_${Date.now()}_${idx}`,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments || '{}' }
+        }));
+    }
+    return message;
+}
+
+/**
+ * Build the tool messages answering an assistant message's tool_calls
+ * results: { [tool_call_id]: content } - calls without a result get an empty string
+ */
+function buildToolMessages(assistantMessage, results) {
+    return (assistantMessage.tool_calls || []).map(call => ({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: results[call.id] !== undefined ? String(results[call.id]) : ''
+    }));
+}
+
+return {
+    RUN_MODES,
+    PROXY_TARGET_URL_HEADER,
+    PROXY_TARGET_HOST_HEADER,
+    buildRunRequest,
+    normalizeUsage,
+    parseServerSentEvents,
+    parseRunResponse,
+    parseErrorBody,
+    runRequest,
+    CANNED_TOOL_RESULTS,
+    buildAssistantMessage,
+    buildToolMessages
+};
+});
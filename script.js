@@ -1,8 +1,50 @@
 /**
  * LLM CURL GENERATOR - JavaScript
  * Converts Qi Studio format to OpenAI Chat Completion API format
+ *
+ * UI layer only - conversion & generation logic lives in converter.js
  */
 
+const {
+    DEFAULT_CONFIG,
+    TARGETS,
+    isAgentNodeJson,
+    getInputToolsArray,
+    parseConversations,
+    formatReportEntry,
+    convertTools,
+    buildToolNameMap,
+    convertMessages,
+    generateRequestBody,
+    getModelName,
+    encodeQueryValue,
+    CMD_MAX_LENGTH,
+    generateCurlCommand,
+    generatePowerShellCommand
+} = window.CurlConverter;
+
+const {
+    generatePythonRequestsSnippet,
+    generatePythonSdkSnippet,
+    generateFetchSnippet,
+    generateNodeSdkSnippet
+} = window.CodeSnippets;
+const { generateRequestBundle } = window.RequestBundle;
+const { generateClientExports } = window.ClientExports;
+const { generateBatchFile } = window.BatchExport;
+const { generateFineTuneFile } = window.FineTuneExport;
+const { parseCommand, checkCommandConsistency } = window.CommandParser;
+const {
+    ENCODINGS,
+    DEFAULT_PRICE_TABLE,
+    loadEncoding,
+    countChatTokens,
+    findModelPricing,
+    estimateCost
+} = window.TokenCounter;
+const { buildRunRequest, runRequest, CANNED_TOOL_RESULTS, buildAssistantMessage, buildToolMessages } = window.RequestRunner;
+const { compileToolMocks, runToolMock, scaffoldToolMocks, findUnknownMocks } = window.ToolMocks;
+
 // ============================================
 // THEME TOGGLE
 // ============================================
@@ -85,6 +127,16 @@ const DEFAULT_TOOLS_TEMPLATE = `[
  */
 let currentWarnings = [];
 
+/**
+ * Warnings from the last conversion (warning-level conversion report entries)
+ */
+let conversionWarnings = [];
+
+/**
+ * Warnings from the last token estimate (prompt + max output over the context window)
+ */
+let tokenWarnings = [];
+
 /**
  * Check all warnings and update the indicator
  */
@@ -129,8 +181,10 @@ function checkWarnings() {
     const topP = parseFloat(document.getElementById('topP')?.value || 0.1);
     const maxTokens = parseInt(document.getElementById('maxOutputTokens')?.value || 1000);
     
+    const target = document.getElementById('target')?.value || DEFAULT_CONFIG.target;
+    
     if (reasoningEnabled) {
-        if (temperature !== 1 || topP !== 1) {
+        if ((target === 'openai' || target === 'responses') && (temperature !== 1 || topP !== 1)) {
             currentWarnings.push('Reasoning enabled with custom temperature/top_p. GPT-5.2 requires temperature=1 and top_p=1 when reasoning_effort is used.');
         }
         if (maxTokens < 4000) {
@@ -138,6 +192,10 @@ function checkWarnings() {
         }
     }
     
+    // Add warnings from the last conversion
+    currentWarnings.push(...conversionWarnings);
+    currentWarnings.push(...tokenWarnings);
+    
     // Update warning indicator
     updateWarningIndicator();
 }
@@ -160,9 +218,14 @@ function updateWarningIndicator() {
         countEl.textContent = count;
         textEl.textContent = count === 1 ? 'warning' : 'warnings';
         
-        // Update warnings list
+        // Update warnings list (as text - warnings quote names and ids from the pasted input)
         if (listEl) {
-            listEl.innerHTML = currentWarnings.map(w => `<li>${w}</li>`).join('');
+            listEl.innerHTML = '';
+            for (const warning of currentWarnings) {
+                const li = document.createElement('li');
+                li.textContent = warning;
+                listEl.appendChild(li);
+            }
         }
     } else {
         indicator.style.display = 'none';
@@ -263,6 +326,33 @@ function toggleStructuredOutput() {
             schemaTextarea.style.display = 'none';
         }
     }
+    
+    checkWarnings();
+}
+
+/**
+ * Update target-specific fields when the target API changes
+ */
+function onTargetChange() {
+    const target = document.getElementById('target').value;
+    const targetInfo = TARGETS[target] || {};
+    const modelItem = document.getElementById('modelItem');
+    const modelInput = document.getElementById('model');
+    const endpointInput = document.getElementById('apiEndpoint');
+    
+    // Model goes in the body for every target except Chat Completions (Azure puts the deployment in the URL)
+    if (modelItem) {
+        modelItem.style.display = targetInfo.defaultModel ? 'flex' : 'none';
+    }
+    if (modelInput && targetInfo.defaultModel) {
+        modelInput.placeholder = targetInfo.defaultModel;
+    }
+    if (endpointInput) {
+        endpointInput.placeholder = targetInfo.defaultEndpoint ||
+            'https://your-endpoint.com/openai/deployments/model/chat/completions?api-version=xxx&api-key=xxx';
+    }
+    
+    checkWarnings();
 }
 
 /**
@@ -331,15 +421,6 @@ function validateJSON(inputId, badgeId) {
     }
 }
 
-/**
- * Check if the JSON is an agent node from Qi Studio
- */
-function isAgentNodeJson(obj) {
-    if (!obj || typeof obj !== 'object') return false;
-    // Agent node has type: "agent" and config.tools
-    return obj.type === 'agent' && obj.config && Array.isArray(obj.config.tools);
-}
-
 // Track if we've already auto-filled from this agent config
 let lastAutoFilledAgentId = null;
 
@@ -442,266 +523,7 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 // ============================================
-// CONVERTERS
-// ============================================
-
-/**
- * Convert tools from Qi Studio format to OpenAI format
- * 
- * Qi Studio format:
- * {
- *   "_id": "...",
- *   "name": "handoff_to_node",
- *   "description": "...",
- *   "type": "tool",                    // <-- Wrong for OpenAI
- *   "config": { "schema": {...} },     // <-- Parameters are here
- *   "alias": "actual_function_name"    // <-- Use this as function name
- * }
- * 
- * OpenAI format:
- * {
- *   "type": "function",
- *   "function": {
- *     "name": "actual_function_name",
- *     "description": "...",
- *     "parameters": {...}
- *   }
- * }
- */
-function convertTools(inputTools) {
-    const normalizeSchema = (schemaNode) => {
-        if (!schemaNode || typeof schemaNode !== 'object') {
-            return schemaNode;
-        }
-
-        const normalized = { ...schemaNode };
-
-        if (normalized.type === 'object') {
-            const props = normalized.properties && typeof normalized.properties === 'object'
-                ? normalized.properties
-                : {};
-            const propKeys = Object.keys(props);
-
-            // Guardrail: object schema with no properties and additionalProperties=false
-            // rejects every real object payload (common source of tool schema failures).
-            if (propKeys.length === 0 && normalized.additionalProperties === false) {
-                normalized.additionalProperties = true;
-            }
-
-            const normalizedProps = {};
-            for (const key of propKeys) {
-                normalizedProps[key] = normalizeSchema(props[key]);
-            }
-            normalized.properties = normalizedProps;
-        }
-
-        if (normalized.type === 'array' && normalized.items) {
-            normalized.items = normalizeSchema(normalized.items);
-        }
-
-        return normalized;
-    };
-
-    return inputTools.map(tool => {
-        // Check if already in OpenAI format (type === "function" and has function object)
-        if (tool.type === 'function' && tool.function) {
-            return tool;
-        }
-        
-        // Convert from Qi Studio format
-        const functionName = tool.alias || tool.name || 'unknown_function';
-        const description = tool.description || '';
-        
-        // Extract parameters from config.schema or use empty object
-        let parameters = { type: 'object', properties: {}, required: [] };
-        if (tool.config && tool.config.schema) {
-            parameters = normalizeSchema(tool.config.schema);
-        } else if (tool.function && tool.function.parameters) {
-            parameters = normalizeSchema(tool.function.parameters);
-        }
-        
-        return {
-            type: 'function',
-            function: {
-                name: functionName,
-                description: description,
-                parameters: parameters
-            }
-        };
-    });
-}
-
-/**
- * Build a tool-name resolver map.
- * Maps both internal tool names and aliases to the final OpenAI function name.
- */
-function buildToolNameMap(inputTools) {
-    const map = {};
-
-    for (const tool of inputTools) {
-        // Already OpenAI format
-        if (tool.type === 'function' && tool.function && tool.function.name) {
-            map[tool.function.name] = tool.function.name;
-            continue;
-        }
-
-        const finalName = tool.alias || tool.name || 'unknown_function';
-        if (tool.name) {
-            map[tool.name] = finalName;
-        }
-        if (tool.alias) {
-            map[tool.alias] = finalName;
-        }
-    }
-
-    return map;
-}
-
-/**
- * Convert message content from Qi Studio format to OpenAI format
- * Qi Studio: content can be array [{type: "text", text: "..."}] or string
- * OpenAI: content is always a string
- */
-function convertMessageContent(content) {
-    // If content is already a string, return as-is
-    if (typeof content === 'string') {
-        return content;
-    }
-    
-    // If content is an array (Qi Studio format)
-    if (Array.isArray(content)) {
-        return content
-            .filter(item => item.type === 'text' && item.text)
-            .map(item => item.text)
-            .join('\n');
-    }
-    
-    // If content is an object (like tool response data), stringify it
-    if (content !== null && typeof content === 'object') {
-        return JSON.stringify(content);
-    }
-    
-    // Fallback
-    return String(content || '');
-}
-
-/**
- * Convert messages array from Qi Studio format to OpenAI format
- * 
- * ROLE MAPPING STRATEGY:
- * 1. If role is already valid (system, user, assistant, tool, function, developer) → keep as-is
- * 2. If message has additional_kwargs.node_metadata.nodeType → use that to determine role:
- *    - nodeType = "tool" or "script" → role = "tool" (with tool_call_id from pending queue)
- *    - nodeType = "llm" or "agent" → role = "assistant"
- * 3. If unknown role with pending tool_call → role = "tool" (with tool_call_id)
- * 4. Otherwise → role = "assistant"
- * 
- * OpenAI REQUIREMENT: Every tool_call must have a matching tool response!
- */
-function convertMessages(inputMessages, toolNameMap) {
-    const convertedMessages = [];
-    
-    // Queue to track pending tool_call_ids that need responses
-    const pendingToolCallIds = [];
-
-    for (let i = 0; i < inputMessages.length; i += 1) {
-        const msg = inputMessages[i];
-        const content = convertMessageContent(msg.content);
-
-        // Normalize assistant tool_calls into OpenAI format
-        if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
-            const normalizedToolCalls = msg.tool_calls.map((call, idx) => {
-                const callId = call.id || `call_${Date.now()}_${i}_${idx}`;
-
-                let rawName = '';
-                let rawArgs = {};
-
-                // Qi Studio style: { id, name, args }
-                if (call.name) {
-                    rawName = call.name;
-                    rawArgs = call.args || {};
-                }
-
-                // OpenAI-like style: { id, function: { name, arguments }, type }
-                if (call.function && call.function.name) {
-                    rawName = call.function.name;
-                    if (typeof call.function.arguments === 'string') {
-                        rawArgs = call.function.arguments;
-                    } else {
-                        rawArgs = call.function.arguments || {};
-                    }
-                }
-
-                // Heuristic: if internal node name was used, try to infer actual tool name
-                // from the immediate next message: "Executed **tool_name** ..."
-                if (!toolNameMap[rawName] && inputMessages[i + 1]) {
-                    const nextContent = convertMessageContent(inputMessages[i + 1].content);
-                    const executedMatch = nextContent.match(/Executed \*\*([^*]+)\*\*/i);
-                    if (executedMatch && executedMatch[1]) {
-                        rawName = executedMatch[1].trim();
-                    }
-                }
-
-                const finalName = toolNameMap[rawName] || rawName;
-                const argumentsString = typeof rawArgs === 'string' ? rawArgs : JSON.stringify(rawArgs || {});
-
-                // Track this tool_call_id - it needs a response!
-                pendingToolCallIds.push(callId);
-
-                return {
-                    id: callId,
-                    type: 'function',
-                    function: {
-                        name: finalName,
-                        arguments: argumentsString
-                    }
-                };
-            });
-
-            convertedMessages.push({
-                role: 'assistant',
-                content: content || '',
-                tool_calls: normalizedToolCalls
-            });
-            continue;
-        }
-
-        // SIMPLE LOGIC:
-        // If role is user, assistant, or system → keep as-is
-        // If role is anything else → it's a tool response
-        
-        const validRoles = new Set(['user', 'assistant', 'system']);
-        
-        if (validRoles.has(msg.role)) {
-            // Valid role - keep as-is
-            // Skip empty messages
-            if (!content || content.trim() === '') {
-                continue;
-            }
-            convertedMessages.push({
-                role: msg.role,
-                content: content
-            });
-        } else {
-            // Invalid role (like "get_contracts_by_supplier_name", "store_contract_node", etc.)
-            // This is a tool response - assign pending tool_call_id
-            if (pendingToolCallIds.length > 0) {
-                const toolCallId = pendingToolCallIds.shift();
-                convertedMessages.push({
-                    role: 'tool',
-                    tool_call_id: toolCallId,
-                    content: content || ''
-                });
-            }
-            // If no pending tool_call_id, skip this message (orphan response)
-        }
-    }
-
-    return convertedMessages;
-}
-
-// ============================================
-// GENERATORS
+// CONFIGURATION
 // ============================================
 
 /**
@@ -724,138 +546,30 @@ function getConfig() {
     }
     
     return {
+        target: document.getElementById('target')?.value || DEFAULT_CONFIG.target,
+        model: document.getElementById('model')?.value?.trim() || DEFAULT_CONFIG.model,
         apiEndpoint: document.getElementById('apiEndpoint').value || '',
-        apiVersion: document.getElementById('apiVersion').value || '2024-02-01',
-        apiKey: document.getElementById('apiKey').value || '<Your openai key>',
-        hostHeader: document.getElementById('hostHeader').value || 'api.openai.com',
-        temperature: parseFloat(document.getElementById('temperature').value) || 0.1,
-        topP: parseFloat(document.getElementById('topP').value) || 0.1,
-        toolChoice: document.getElementById('toolChoice').value || 'auto',
-        frequencyPenalty: parseFloat(document.getElementById('frequencyPenalty').value) || 0,
-        presencePenalty: parseFloat(document.getElementById('presencePenalty').value) || 0,
-        maxOutputTokens: parseInt(document.getElementById('maxOutputTokens').value) || 1000,
+        apiVersion: document.getElementById('apiVersion').value || DEFAULT_CONFIG.apiVersion,
+        apiKey: document.getElementById('apiKey').value || DEFAULT_CONFIG.apiKey,
+        hostHeader: document.getElementById('hostHeader').value || DEFAULT_CONFIG.hostHeader,
+        authMode: document.getElementById('authMode')?.value || DEFAULT_CONFIG.authMode,
+        apiKeyFromEnv: document.getElementById('apiKeyFromEnv')?.checked || false,
+        temperature: parseFloat(document.getElementById('temperature').value) || DEFAULT_CONFIG.temperature,
+        topP: parseFloat(document.getElementById('topP').value) || DEFAULT_CONFIG.topP,
+        toolChoice: document.getElementById('toolChoice').value || DEFAULT_CONFIG.toolChoice,
+        frequencyPenalty: parseFloat(document.getElementById('frequencyPenalty').value) || DEFAULT_CONFIG.frequencyPenalty,
+        presencePenalty: parseFloat(document.getElementById('presencePenalty').value) || DEFAULT_CONFIG.presencePenalty,
+        maxOutputTokens: parseInt(document.getElementById('maxOutputTokens').value) || DEFAULT_CONFIG.maxOutputTokens,
+        streamEnabled: document.getElementById('streamEnabled')?.checked || false,
         reasoningEnabled: reasoningEnabled,
         reasoningEffort: reasoningEnabled ? document.getElementById('reasoningEffort').value : null,
         structuredOutputEnabled: structuredOutputEnabled,
-        structuredOutputSchema: structuredOutputSchema
+        structuredOutputSchema: structuredOutputSchema,
+        multimodalEnabled: document.getElementById('multimodalEnabled')?.checked || false,
+        unansweredToolCalls: document.getElementById('unansweredToolCalls')?.value || DEFAULT_CONFIG.unansweredToolCalls
     };
 }
 
-/**
- * Fix schema for OpenAI strict mode requirements:
- * 1. All properties in 'properties' must be in 'required' array
- * 2. additionalProperties must be false
- * Applies recursively for nested objects
- */
-function fixSchemaForOpenAI(schema) {
-    if (!schema || typeof schema !== 'object') return schema;
-    
-    const fixed = { ...schema };
-    
-    // If it's an object type with properties
-    if (fixed.type === 'object' && fixed.properties) {
-        // Get all property keys
-        const allPropertyKeys = Object.keys(fixed.properties);
-        
-        // Set required to include ALL properties
-        fixed.required = allPropertyKeys;
-        
-        // Set additionalProperties to false
-        fixed.additionalProperties = false;
-        
-        // Recursively fix nested object properties
-        const fixedProperties = {};
-        for (const [key, value] of Object.entries(fixed.properties)) {
-            fixedProperties[key] = fixSchemaForOpenAI(value);
-        }
-        fixed.properties = fixedProperties;
-    }
-    
-    // Handle array items
-    if (fixed.type === 'array' && fixed.items) {
-        fixed.items = fixSchemaForOpenAI(fixed.items);
-    }
-    
-    return fixed;
-}
-
-/**
- * Generate the request body
- */
-function generateRequestBody(config, messages, tools) {
-    const body = {
-        temperature: config.temperature,
-        top_p: config.topP,
-        frequency_penalty: config.frequencyPenalty,
-        presence_penalty: config.presencePenalty,
-        max_completion_tokens: config.maxOutputTokens,
-        tool_choice: config.toolChoice,
-        messages: messages,
-        tools: tools
-    };
-    
-    // Add reasoning_effort parameter only if enabled
-    if (config.reasoningEnabled && config.reasoningEffort) {
-        body.reasoning_effort = config.reasoningEffort;
-    }
-    
-    // Add structured output (response_format) if enabled
-    if (config.structuredOutputEnabled && config.structuredOutputSchema) {
-        // Auto-fix schema for OpenAI strict mode requirements:
-        // 1. All properties must be in 'required' array
-        // 2. additionalProperties must be false
-        const fixedSchema = fixSchemaForOpenAI(config.structuredOutputSchema);
-        
-        body.response_format = {
-            type: "json_schema",
-            json_schema: {
-                name: "structured_output",
-                strict: true,
-                schema: fixedSchema
-            }
-        };
-    }
-    
-    return body;
-}
-
-/**
- * Generate curl command
- */
-function generateCurlCommand(config, requestBody) {
-    const fullUrl = `${config.apiEndpoint}?api-version=${config.apiVersion}&api-key=${config.apiKey}`;
-    
-    // Pretty print JSON
-    const jsonBody = JSON.stringify(requestBody, null, 4);
-    
-    // Escape single quotes for bash
-    const escapedBody = jsonBody.replace(/'/g, "'\\''");
-    
-    return `curl --location '${fullUrl}' \\
---header 'Host: ${config.hostHeader}' \\
---header 'Content-Type: application/json' \\
---data '${escapedBody}'`;
-}
-
-/**
- * Generate PowerShell command
- */
-function generatePowerShellCommand(config, requestBody) {
-    const fullUrl = `${config.apiEndpoint}?api-version=${config.apiVersion}&api-key=${config.apiKey}`;
-    const jsonBody = JSON.stringify(requestBody, null, 2);
-    
-    return `$headers = @{
-    "Host" = "${config.hostHeader}"
-    "Content-Type" = "application/json"
-}
-
-$body = @'
-${jsonBody}
-'@
-
-Invoke-RestMethod -Uri "${fullUrl}" -Method Post -Headers $headers -Body $body`;
-}
-
 // ============================================
 // MAIN FUNCTION
 // ============================================
@@ -883,33 +597,63 @@ function generateCurl() {
             return;
         }
         
+        // Get configuration
+        const config = getConfig();
+        
+        // Every skipped, dropped, renamed or synthesized item is recorded in the conversion report
+        const report = [];
+        
         // Convert tools from Qi Studio format to OpenAI format
-        const convertedTools = convertTools(inputTools);
+        const convertedTools = convertTools(inputTools, report);
         const toolNameMap = buildToolNameMap(inputTools);
         
         // Convert messages to OpenAI format
-        const convertedMessages = convertMessages(inputMessages, toolNameMap);
+        const convertedMessages = convertMessages(inputMessages, toolNameMap, {
+            multimodal: config.multimodalEnabled,
+            unansweredToolCalls: config.unansweredToolCalls,
+            report: report
+        });
         
         if (convertedMessages.length === 0) {
+            conversionWarnings = [];
+            checkWarnings();
             showError('No valid messages found after conversion. Please check your input.');
             return;
         }
         
-        // Get configuration
-        const config = getConfig();
-        
         // Generate request body
-        const requestBody = generateRequestBody(config, convertedMessages, convertedTools);
+        const requestBody = generateRequestBody(config, convertedMessages, convertedTools, report);
         
         // Generate outputs
         const bodyJSON = JSON.stringify(requestBody, null, 2);
         const curlCmd = generateCurlCommand(config, requestBody);
+        const curlCmdExe = generateCurlCommand(config, requestBody, 'cmd');
         const psCmd = generatePowerShellCommand(config, requestBody);
         
+        conversionWarnings = report.filter(entry => entry.level === 'warning').map(formatReportEntry);
+        conversionWarnings.push(...checkShellCommands({ curl: curlCmd, 'curl (cmd.exe)': curlCmdExe, PowerShell: psCmd }, requestBody));
+        conversionWarnings.push(...checkToolMocks(convertedTools));
+        if (curlCmdExe.length > CMD_MAX_LENGTH) {
+            conversionWarnings.push(`curl (cmd.exe) command is ${curlCmdExe.length} characters - cmd.exe only accepts ${CMD_MAX_LENGTH}. Use the PowerShell command instead.`);
+        }
+        checkWarnings();
+        renderConversionReport(report);
+        lastRequest = { config, messages: convertedMessages, tools: convertedTools, requestBody };
+        updateTokenEstimate();
+        const pyRequests = generatePythonRequestsSnippet(config, requestBody);
+        const pySdk = generatePythonSdkSnippet(config, requestBody);
+        const fetchSnippet = generateFetchSnippet(config, requestBody);
+        const nodeSdk = generateNodeSdkSnippet(config, requestBody);
+        
         // Display outputs
         document.getElementById('bodyOutput').textContent = bodyJSON;
         document.getElementById('curlOutput').textContent = curlCmd;
+        document.getElementById('curlCmdOutput').textContent = curlCmdExe;
         document.getElementById('psOutput').textContent = psCmd;
+        document.getElementById('pyRequestsOutput').textContent = pyRequests;
+        document.getElementById('pySdkOutput').textContent = pySdk;
+        document.getElementById('fetchOutput').textContent = fetchSnippet;
+        document.getElementById('nodeSdkOutput').textContent = nodeSdk;
         
         // Show output section
         document.getElementById('outputSection').style.display = 'flex';
@@ -930,6 +674,758 @@ function generateCurl() {
     }
 }
 
+/**
+ * Parse every generated shell command back with the page's own shell parser (a self-consistency
+ * check - no real shell runs) and compare its body with the request body
+ * Returns a warning per command that does not parse back to it
+ */
+function checkShellCommands(commands, requestBody) {
+    const warnings = [];
+    for (const [label, command] of Object.entries(commands)) {
+        const problem = checkCommandConsistency(command, requestBody);
+        if (problem) {
+            warnings.push(`${label} command does not parse back to the request body (self-consistency check, not run in a real shell): ${problem}`);
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Render the conversion report card
+ */
+function renderConversionReport(report) {
+    const listEl = document.getElementById('reportOutput');
+    const summaryEl = document.getElementById('reportSummary');
+    if (!listEl) return;
+    
+    listEl.innerHTML = '';
+    
+    if (report.length === 0) {
+        const li = document.createElement('li');
+        li.className = 'report-empty';
+        li.textContent = 'Nothing was changed - the input converted as-is';
+        listEl.appendChild(li);
+    }
+    
+    for (const entry of report) {
+        const li = document.createElement('li');
+        li.className = `report-${entry.level}`;
+        
+        const level = document.createElement('span');
+        level.className = 'report-level';
+        level.textContent = entry.level === 'warning' ? '⚠️' : 'ℹ️';
+        
+        const action = document.createElement('span');
+        action.className = 'report-action';
+        action.textContent = entry.action;
+        
+        const text = document.createElement('span');
+        text.textContent = formatReportEntry(entry);
+        
+        li.append(level, action, text);
+        listEl.appendChild(li);
+    }
+    
+    if (summaryEl) {
+        const warningCount = report.filter(entry => entry.level === 'warning').length;
+        summaryEl.textContent = report.length === 0
+            ? 'No changes'
+            : `${report.length} change${report.length === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`;
+    }
+}
+
+// ============================================
+// TOKEN ESTIMATE
+// ============================================
+
+const PRICE_TABLE_STORAGE_KEY = 'priceTable';
+
+/**
+ * Last generated request ({ config, messages, tools, requestBody } - converted, Chat Completions format),
+ * re-estimated when the encoding or the price table changes and sent by the Run button
+ */
+let lastRequest = null;
+
+/**
+ * Get the price table (the edited one saved in localStorage, else the default)
+ */
+function getPriceTable() {
+    const saved = localStorage.getItem(PRICE_TABLE_STORAGE_KEY);
+    if (saved) {
+        try {
+            return JSON.parse(saved);
+        } catch (e) {
+            localStorage.removeItem(PRICE_TABLE_STORAGE_KEY);
+        }
+    }
+    return DEFAULT_PRICE_TABLE;
+}
+
+/**
+ * Fill the price table editor
+ */
+function initPriceTable() {
+    const textarea = document.getElementById('priceTable');
+    if (textarea) textarea.value = JSON.stringify(getPriceTable(), null, 2);
+}
+
+document.addEventListener('DOMContentLoaded', initPriceTable);
+
+/**
+ * Save the edited price table once it is a valid JSON object, and re-estimate
+ */
+function onPriceTableInput() {
+    const textarea = document.getElementById('priceTable');
+    let table;
+    try {
+        table = JSON.parse(textarea.value);
+    } catch (e) {
+        table = null;
+    }
+    const valid = Boolean(table) && typeof table === 'object' && !Array.isArray(table);
+    textarea.classList.toggle('invalid', !valid);
+    if (!valid) return;
+
+    localStorage.setItem(PRICE_TABLE_STORAGE_KEY, JSON.stringify(table));
+    updateTokenEstimate();
+}
+
+/**
+ * Restore the default price table
+ */
+function resetPriceTable() {
+    localStorage.removeItem(PRICE_TABLE_STORAGE_KEY);
+    initPriceTable();
+    document.getElementById('priceTable').classList.remove('invalid');
+    updateTokenEstimate();
+}
+
+/**
+ * Find the output token limit in a request body (the field name differs per target)
+ * Returns { field, value } or null
+ */
+function getMaxOutputTokens(requestBody) {
+    for (const field of ['max_completion_tokens', 'max_output_tokens', 'max_tokens']) {
+        if (typeof requestBody[field] === 'number') return { field: field, value: requestBody[field] };
+    }
+    const generationConfig = requestBody.generationConfig || {};
+    if (typeof generationConfig.maxOutputTokens === 'number') {
+        return { field: 'maxOutputTokens', value: generationConfig.maxOutputTokens };
+    }
+    return null;
+}
+
+/**
+ * Format a USD amount (more decimals for sub-cent amounts)
+ */
+function formatCost(amount) {
+    return `$${amount.toFixed(amount > 0 && amount < 0.01 ? 5 : 4)}`;
+}
+
+/**
+ * Count the prompt tokens of the last generated request and render the token estimate card
+ */
+async function updateTokenEstimate() {
+    const request = lastRequest;
+    const summaryEl = document.getElementById('tokenSummary');
+    if (!request || !summaryEl) return;
+
+    const model = getModelName(request.config);
+    const pricing = findModelPricing(getPriceTable(), model);
+    const selected = document.getElementById('tokenEncoding')?.value || 'auto';
+    const encoding = selected !== 'auto'
+        ? selected
+        : (pricing && ENCODINGS.includes(pricing.encoding) ? pricing.encoding : ENCODINGS[0]);
+
+    let counts;
+    try {
+        const encoder = await loadEncoding(encoding);
+        counts = countChatTokens(encoder, request.messages, request.tools);
+    } catch (error) {
+        summaryEl.textContent = error.message;
+        return;
+    }
+    // A newer request was generated while the encoding loaded
+    if (request !== lastRequest) return;
+
+    const maxOutput = getMaxOutputTokens(request.requestBody);
+    const maxOutputTokens = maxOutput ? maxOutput.value : 0;
+    const formatTokens = tokens => tokens.toLocaleString('en-US');
+    const rows = [
+        { label: 'System prompt', value: formatTokens(counts.systemPrompt) },
+        ...counts.messages.map(message => ({ label: `Message ${message.index} (${message.role})`, value: formatTokens(message.tokens) })),
+        { label: 'Tool results', value: formatTokens(counts.toolResults) },
+        { label: 'Tool definitions', value: formatTokens(counts.toolDefinitions) },
+        { label: `Prompt total (${counts.encoding})`, value: formatTokens(counts.total), total: true }
+    ];
+    if (maxOutput) {
+        rows.push({ label: maxOutput.field, value: formatTokens(maxOutput.value) });
+    }
+
+    tokenWarnings = [];
+    let costText = `no price for "${model || 'unknown model'}" in the price table`;
+    if (pricing) {
+        if (pricing.contextWindow) {
+            rows.push({ label: `Context window (${pricing.model})`, value: formatTokens(pricing.contextWindow) });
+            if (counts.total + maxOutputTokens > pricing.contextWindow) {
+                tokenWarnings.push(`Estimated prompt (${counts.total} tokens) + ${maxOutput ? maxOutput.field : 'output'} (${maxOutputTokens}) exceeds the ${pricing.contextWindow}-token context window of ${pricing.model}.`);
+            }
+        }
+        const cost = estimateCost(pricing, counts.total, maxOutputTokens);
+        rows.push({
+            label: 'Estimated cost',
+            value: `${formatCost(cost.input)} + ≤ ${formatCost(cost.maxOutput)} = ≤ ${formatCost(cost.total)}`,
+            total: true
+        });
+        costText = `${formatCost(cost.input)} input + up to ${formatCost(cost.maxOutput)} output (${pricing.model})`;
+    }
+    checkWarnings();
+
+    const listEl = document.getElementById('tokenOutput');
+    listEl.innerHTML = '';
+    for (const row of rows) {
+        const li = document.createElement('li');
+        if (row.total) li.className = 'token-total';
+        const label = document.createElement('span');
+        label.textContent = row.label;
+        const value = document.createElement('span');
+        value.className = 'token-count';
+        value.textContent = row.value;
+        li.append(label, value);
+        listEl.appendChild(li);
+    }
+    summaryEl.textContent = `~${formatTokens(counts.total)} prompt tokens, ${costText}`;
+}
+
+// ============================================
+// RUN REQUEST
+// ============================================
+
+/**
+ * Pretty-print JSON text (returned unchanged when it is not JSON)
+ */
+function prettyJSON(text) {
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * Append a titled code block to the run output
+ */
+function appendRunSection(container, title, text, className) {
+    const section = document.createElement('div');
+    if (className) section.className = className;
+    const heading = document.createElement('div');
+    heading.className = 'run-heading';
+    heading.textContent = title;
+    const pre = document.createElement('pre');
+    pre.className = 'code-block';
+    pre.textContent = text;
+    section.append(heading, pre);
+    container.appendChild(section);
+}
+
+/**
+ * The local proxy URL when the Run card sends through the proxy, else null (direct)
+ */
+function getRunProxyUrl() {
+    const mode = document.getElementById('runMode').value;
+    return mode === 'proxy' ? document.getElementById('proxyUrl').value.trim() || '/proxy' : null;
+}
+
+/**
+ * Clear the run output and open the Run card so the response is visible
+ */
+function resetRunOutput() {
+    const outputEl = document.getElementById('runOutput');
+    outputEl.innerHTML = '';
+    const card = outputEl.closest('.collapsible');
+    if (card && !card.classList.contains('expanded')) {
+        toggleCollapsible(card.querySelector('.card-header'));
+    }
+    return outputEl;
+}
+
+/**
+ * What to check when no response arrived
+ */
+function getRunFailureHint(proxyUrl) {
+    return proxyUrl
+        ? `Is the local proxy running (npm start) and serving ${proxyUrl}?`
+        : 'Browsers block cross-origin requests without CORS headers and untrusted certificates - try the local proxy.';
+}
+
+/**
+ * Send the last generated request (directly or through the local proxy) and render the response
+ */
+async function runGeneratedRequest() {
+    const request = lastRequest;
+    if (!request) {
+        showError('Generate a request first');
+        return;
+    }
+
+    const proxyUrl = getRunProxyUrl();
+    const httpRequest = buildRunRequest(request.config, request.requestBody, proxyUrl);
+
+    const button = document.getElementById('runButton');
+    const summaryEl = document.getElementById('runSummary');
+    button.disabled = true;
+    summaryEl.textContent = `Running… (${proxyUrl ? `via ${proxyUrl}` : 'direct'})`;
+    const outputEl = resetRunOutput();
+
+    try {
+        const result = await runRequest(request.config.target, httpRequest);
+        renderRunResult(result);
+    } catch (error) {
+        summaryEl.textContent = 'No response';
+        appendRunSection(outputEl, 'Request failed', `${error.message}\n\n${getRunFailureHint(proxyUrl)}`, 'run-error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Render a runRequest result: status & timing, finish reason, usage, assistant text,
+ * tool calls with pretty-printed arguments, HTTP errors with the error body, and the raw response
+ */
+function renderRunResult(result) {
+    const summaryEl = document.getElementById('runSummary');
+    const outputEl = document.getElementById('runOutput');
+    const response = result.response;
+
+    const rows = [
+        { label: 'Status', value: `${result.status} ${result.statusText}`.trim() },
+        { label: 'Latency', value: `${result.latencyMs} ms (headers after ${result.headersMs} ms)` }
+    ];
+    if (response) {
+        rows.push({ label: 'finish_reason', value: response.finishReason || '—' });
+        const usage = response.usage || {};
+        const usageRows = [
+            ['Input tokens', usage.input],
+            ['Cached input tokens', usage.cached],
+            ['Output tokens', usage.output],
+            ['Reasoning tokens', usage.reasoning],
+            ['Total tokens', usage.total]
+        ];
+        for (const [label, value] of usageRows) {
+            if (value !== null && value !== undefined) rows.push({ label: label, value: value.toLocaleString('en-US') });
+        }
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'report-list';
+    for (const row of rows) {
+        const li = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = row.label;
+        const value = document.createElement('span');
+        value.className = 'token-count';
+        value.textContent = row.value;
+        li.append(label, value);
+        list.appendChild(li);
+    }
+    outputEl.appendChild(list);
+
+    if (result.error) {
+        const title = result.status >= 400
+            ? `HTTP ${result.status}${result.error.message ? ` - ${result.error.message}` : ''}`
+            : result.error.message;
+        appendRunSection(outputEl, title, result.error.body || '(empty body)', 'run-error');
+        summaryEl.textContent = `${result.status} ${result.statusText} · ${result.latencyMs} ms`.trim();
+        return;
+    }
+
+    if (response.text) {
+        appendRunSection(outputEl, 'Assistant', response.text);
+    }
+    for (const call of response.toolCalls) {
+        appendRunSection(outputEl, `Tool call: ${call.name}${call.id ? ` (${call.id})` : ''}`, prettyJSON(call.arguments));
+    }
+    appendRunSection(outputEl, 'Raw response', prettyJSON(result.bodyText));
+    renderContinuation(outputEl, buildAssistantMessage(response));
+
+    const parts = [`${result.status}`, `${result.latencyMs} ms`, response.finishReason || 'no finish reason'];
+    if (response.toolCalls.length > 0) {
+        parts.push(`${response.toolCalls.length} tool call${response.toolCalls.length === 1 ? '' : 's'}`);
+    }
+    summaryEl.textContent = parts.join(' · ');
+}
+
+/**
+ * Render the "continue the conversation" form: one result input per tool call
+ * (typed in or picked from the canned results) and a button appending the turn to the messages
+ * results: { [tool_call_id]: content } to prefill (e.g. the calls a mock already answered)
+ */
+function renderContinuation(container, assistantMessage, results = {}) {
+    const calls = assistantMessage.tool_calls || [];
+
+    const section = document.createElement('div');
+    section.className = 'run-continue';
+    const heading = document.createElement('div');
+    heading.className = 'run-heading';
+    heading.textContent = calls.length > 0 ? 'Continue with tool results' : 'Continue the conversation';
+    section.appendChild(heading);
+
+    const resultInputs = calls.map(call => {
+        const row = document.createElement('div');
+        row.className = 'run-tool-result';
+
+        const label = document.createElement('label');
+        label.textContent = `${call.function.name} (${call.id})`;
+
+        const canned = document.createElement('select');
+        canned.title = 'Use a canned tool result';
+        canned.add(new Option('Custom result…', ''));
+        for (const [key, option] of Object.entries(CANNED_TOOL_RESULTS)) {
+            canned.add(new Option(option.label, key));
+        }
+
+        const input = document.createElement('textarea');
+        input.rows = 3;
+        input.spellcheck = false;
+        input.placeholder = 'Tool result returned to the model';
+        input.dataset.callId = call.id;
+        if (results[call.id] !== undefined) input.value = results[call.id];
+        canned.addEventListener('change', () => {
+            if (canned.value) input.value = CANNED_TOOL_RESULTS[canned.value].content;
+        });
+        input.addEventListener('input', () => {
+            canned.value = '';
+        });
+
+        row.append(label, canned, input);
+        section.appendChild(row);
+        return input;
+    });
+
+    const button = document.createElement('button');
+    button.className = 'btn-icon-text';
+    button.textContent = calls.length > 0
+        ? `↩ Append assistant message & ${calls.length} tool result${calls.length === 1 ? '' : 's'}`
+        : '↩ Append assistant message';
+    button.addEventListener('click', () => appendRunToMessages(assistantMessage, resultInputs));
+    section.appendChild(button);
+
+    container.appendChild(section);
+}
+
+/**
+ * Append an assistant message and its tool results ({ [tool_call_id]: content }) to the
+ * messages input and regenerate the request
+ * Returns the number of appended messages - 0 when the messages are not a JSON array
+ * or the request could not be regenerated
+ */
+function appendTurnToMessages(assistantMessage, results) {
+    const messages = validateJSON('messagesInput', 'messagesValidation');
+    if (!messages) {
+        showError('Messages must be a valid JSON array to append the response');
+        return 0;
+    }
+
+    const appended = [assistantMessage, ...buildToolMessages(assistantMessage, results)];
+    messages.push(...appended);
+
+    document.getElementById('messagesInput').value = JSON.stringify(messages, null, 2);
+    validateJSON('messagesInput', 'messagesValidation');
+    const previousRequest = lastRequest;
+    generateCurl();
+    return lastRequest !== previousRequest ? appended.length : 0;
+}
+
+/**
+ * Append the response shown in the Run card with the entered tool results
+ */
+function appendRunToMessages(assistantMessage, resultInputs) {
+    const results = {};
+    for (const input of resultInputs) {
+        results[input.dataset.callId] = input.value;
+    }
+    const appended = appendTurnToMessages(assistantMessage, results);
+    if (appended === 0) return;
+
+    // The response is part of the conversation now - clear it so it cannot be appended twice
+    document.getElementById('runOutput').innerHTML = '';
+    document.getElementById('runSummary').textContent = `Appended ${appended} message${appended === 1 ? '' : 's'} - run the regenerated request for the next turn`;
+}
+
+// ============================================
+// TOOL MOCKS & AUTO-RUN
+// ============================================
+
+const TOOL_MOCKS_STORAGE_KEY = 'toolMocks';
+
+/**
+ * Fill the tool mocks editor with the mocks saved in this browser
+ */
+function initToolMocks() {
+    const textarea = document.getElementById('toolMocks');
+    if (textarea) textarea.value = localStorage.getItem(TOOL_MOCKS_STORAGE_KEY) || '{}';
+}
+
+document.addEventListener('DOMContentLoaded', initToolMocks);
+
+/**
+ * Parse the tool mocks editor ({} when empty)
+ * Throws when it is not valid JSON
+ */
+function getToolMocks() {
+    const value = document.getElementById('toolMocks').value.trim();
+    return value ? JSON.parse(value) : {};
+}
+
+/**
+ * Compile the edited mocks, flag the editor when they are broken and save them once they compile
+ * Returns the compiled registry, or null (with the problem shown under the editor)
+ */
+function onToolMocksInput() {
+    const textarea = document.getElementById('toolMocks');
+    const statusEl = document.getElementById('toolMocksStatus');
+    let registry;
+    try {
+        registry = compileToolMocks(getToolMocks());
+    } catch (e) {
+        textarea.classList.add('invalid');
+        statusEl.textContent = `✗ ${e.message}`;
+        return null;
+    }
+    textarea.classList.remove('invalid');
+    const count = Object.keys(registry).length;
+    statusEl.textContent = `✓ ${count} tool mock${count === 1 ? '' : 's'}`;
+    localStorage.setItem(TOOL_MOCKS_STORAGE_KEY, textarea.value);
+    return registry;
+}
+
+/**
+ * Add a static mock for every tool in the Agent Configuration that has none yet
+ */
+function scaffoldMocksFromTools() {
+    const inputTools = validateJSON('toolsInput', 'toolsValidation');
+    if (!inputTools) {
+        showError('Please enter valid Agent Configuration (agent node JSON or tools array)');
+        return;
+    }
+    let mocks;
+    try {
+        mocks = getToolMocks();
+    } catch (e) {
+        showError('Cannot add mocks: the tool mocks are not valid JSON');
+        return;
+    }
+
+    const tools = convertTools(inputTools);
+    const scaffolded = scaffoldToolMocks(tools, mocks);
+    const added = Object.keys(scaffolded).length - Object.keys(mocks).length;
+    document.getElementById('toolMocks').value = JSON.stringify(scaffolded, null, 2);
+    onToolMocksInput();
+    showToast(added > 0 ? `✓ Added ${added} tool mock${added === 1 ? '' : 's'}` : 'Every tool already has a mock');
+}
+
+/**
+ * Warnings for mocks that match none of the converted tools (they would never run)
+ */
+function checkToolMocks(tools) {
+    let mocks;
+    try {
+        mocks = getToolMocks();
+    } catch (e) {
+        return [];
+    }
+    return findUnknownMocks(tools, mocks).map(name => `Tool mock "${name}" matches no tool - mocks are keyed by the converted tool name`);
+}
+
+/**
+ * Simulate the agent loop: call the model, answer its tool calls with the mocks, append the turn
+ * and call the model again - until it answers without tool calls, a tool has no mock, a request
+ * fails or the step limit is hit. Every step is shown as a trace in the Run card.
+ */
+async function autoRunAgentLoop() {
+    if (!lastRequest) {
+        showError('Generate a request first');
+        return;
+    }
+    const registry = onToolMocksInput();
+    if (!registry) {
+        showError('Fix the tool mocks before auto-running: ' + document.getElementById('toolMocksStatus').textContent);
+        return;
+    }
+
+    const maxSteps = Math.max(1, parseInt(document.getElementById('autoRunSteps').value, 10) || 1);
+    const proxyUrl = getRunProxyUrl();
+    const buttons = [document.getElementById('runButton'), document.getElementById('autoRunButton')];
+    const summaryEl = document.getElementById('runSummary');
+    const outputEl = resetRunOutput();
+    buttons.forEach(button => { button.disabled = true; });
+
+    let steps = 0;
+    let toolCallCount = 0;
+    let totalTokens = 0;
+    let outcome = `Stopped: step limit (${maxSteps}) reached - Auto-run again to continue`;
+    try {
+        while (steps < maxSteps) {
+            steps += 1;
+            summaryEl.textContent = `Auto-run step ${steps}/${maxSteps}…`;
+            const httpRequest = buildRunRequest(lastRequest.config, lastRequest.requestBody, proxyUrl);
+
+            let result;
+            try {
+                result = await runRequest(lastRequest.config.target, httpRequest);
+            } catch (error) {
+                appendRunSection(outputEl, `Step ${steps} - request failed`, `${error.message}\n\n${getRunFailureHint(proxyUrl)}`, 'run-error');
+                outcome = 'Stopped: no response';
+                break;
+            }
+
+            const response = result.response;
+            const heading = document.createElement('div');
+            heading.className = 'run-step';
+            heading.textContent = [`Step ${steps}`, `${result.status}`, `${result.latencyMs} ms`, response && response.finishReason]
+                .filter(Boolean).join(' · ');
+            outputEl.appendChild(heading);
+
+            if (result.error) {
+                appendRunSection(outputEl, `HTTP ${result.status}${result.error.message ? ` - ${result.error.message}` : ''}`,
+                    result.error.body || '(empty body)', 'run-error');
+                outcome = `Stopped: HTTP ${result.status}`;
+                break;
+            }
+            if (response.usage && typeof response.usage.total === 'number') totalTokens += response.usage.total;
+            if (response.text) appendRunSection(outputEl, 'Assistant', response.text);
+
+            const assistantMessage = buildAssistantMessage(response);
+            const calls = assistantMessage.tool_calls || [];
+            if (calls.length === 0) {
+                outcome = `Finished after ${steps} step${steps === 1 ? '' : 's'} - the assistant answered without tool calls`;
+                renderContinuation(outputEl, assistantMessage);
+                break;
+            }
+
+            const results = {};
+            const unmocked = [];
+            for (const call of calls) {
+                toolCallCount += 1;
+                appendRunSection(outputEl, `Tool call: ${call.function.name} (${call.id})`, prettyJSON(call.function.arguments));
+                const mock = runToolMock(registry, call.function.name, call.function.arguments);
+                if (!mock.mocked) {
+                    unmocked.push(call.function.name);
+                    appendRunSection(outputEl, `No mock for ${call.function.name}`, 'Add a mock or enter the result below', 'run-error');
+                    continue;
+                }
+                results[call.id] = mock.content;
+                appendRunSection(outputEl, `Mock result (${mock.source})`, prettyJSON(mock.content), mock.error ? 'run-error' : null);
+            }
+
+            if (unmocked.length > 0) {
+                outcome = `Stopped: no mock for ${[...new Set(unmocked)].join(', ')}`;
+                renderContinuation(outputEl, assistantMessage, results);
+                break;
+            }
+            if (appendTurnToMessages(assistantMessage, results) === 0) {
+                outcome = 'Stopped: the request could not be regenerated';
+                break;
+            }
+        }
+    } catch (error) {
+        outcome = `Stopped: ${error.message}`;
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+
+    appendRunSection(outputEl, 'Auto-run', outcome, outcome.startsWith('Finished') ? null : 'run-error');
+    const parts = [`Auto-run: ${steps} model call${steps === 1 ? '' : 's'}`, `${toolCallCount} tool call${toolCallCount === 1 ? '' : 's'}`];
+    if (totalTokens > 0) parts.push(`${totalTokens.toLocaleString('en-US')} tokens`);
+    summaryEl.textContent = parts.join(' · ');
+}
+
+// ============================================
+// IMPORT FROM COMMAND
+// ============================================
+
+/**
+ * Set a range input and its value badge
+ */
+function setRangeValue(inputId, badgeId, value) {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    input.value = value;
+    const badge = document.getElementById(badgeId);
+    if (badge) badge.textContent = value;
+}
+
+/**
+ * Fill the config form from a (partial) config object
+ */
+function applyConfigToForm(config) {
+    const textFields = ['apiEndpoint', 'apiVersion', 'apiKey', 'hostHeader', 'authMode', 'toolChoice'];
+    for (const field of textFields) {
+        if (config[field] !== undefined) {
+            document.getElementById(field).value = config[field];
+        }
+    }
+    
+    if (config.temperature !== undefined) setRangeValue('temperature', 'tempValue', config.temperature);
+    if (config.topP !== undefined) setRangeValue('topP', 'topPValue', config.topP);
+    if (config.frequencyPenalty !== undefined) setRangeValue('frequencyPenalty', 'freqPenValue', config.frequencyPenalty);
+    if (config.presencePenalty !== undefined) setRangeValue('presencePenalty', 'presPenValue', config.presencePenalty);
+    if (config.maxOutputTokens !== undefined) setRangeValue('maxOutputTokens', 'maxTokensValue', config.maxOutputTokens);
+    
+    if (config.reasoningEnabled !== undefined) {
+        document.getElementById('reasoningEnabled').checked = config.reasoningEnabled;
+        if (config.reasoningEffort) {
+            document.getElementById('reasoningEffort').value = config.reasoningEffort;
+        }
+        toggleReasoningDropdown();
+    }
+    
+    if (config.streamEnabled !== undefined) {
+        document.getElementById('streamEnabled').checked = config.streamEnabled;
+    }
+    
+    if (config.multimodalEnabled !== undefined) {
+        document.getElementById('multimodalEnabled').checked = config.multimodalEnabled;
+    }
+    
+    if (config.structuredOutputEnabled !== undefined) {
+        document.getElementById('structuredOutputEnabled').checked = config.structuredOutputEnabled;
+        document.getElementById('structuredOutputSchema').value = config.structuredOutputSchema
+            ? JSON.stringify(config.structuredOutputSchema, null, 2)
+            : '';
+        toggleStructuredOutput();
+    }
+}
+
+/**
+ * Import a pasted curl / PowerShell command into the form
+ */
+function importCommand() {
+    document.getElementById('errorSection').style.display = 'none';
+    
+    let imported;
+    try {
+        imported = parseCommand(document.getElementById('commandInput').value);
+    } catch (e) {
+        showError('Cannot import command: ' + e.message);
+        return;
+    }
+    
+    // Imported requests are always Chat Completions
+    document.getElementById('target').value = 'openai';
+    onTargetChange();
+    applyConfigToForm(imported.config);
+    
+    document.getElementById('messagesInput').value = JSON.stringify(imported.messages, null, 2);
+    document.getElementById('toolsInput').value = JSON.stringify(imported.tools, null, 2);
+    lastAutoFilledAgentId = null;
+    validateJSON('messagesInput', 'messagesValidation');
+    validateJSON('toolsInput', 'toolsValidation');
+    checkWarnings();
+    
+    showToast(`✓ Imported ${imported.messages.length} msgs, ${imported.tools.length} tools`);
+}
+
 // ============================================
 // UI HELPERS
 // ============================================
@@ -969,11 +1465,23 @@ function showToast(message) {
 }
 
 /**
- * Copy to clipboard
+ * Replace the entered API key with a placeholder - raw, URL-encoded and in the
+ * ?api-key= form getRequestUrl writes (only %&#+= encoded)
+ */
+function redactApiKey(text) {
+    const apiKey = document.getElementById('apiKey').value;
+    if (!apiKey) return text;
+    return [apiKey, encodeURIComponent(apiKey), encodeQueryValue(apiKey)]
+        .reduce((result, form) => result.split(form).join('<redacted>'), text);
+}
+
+/**
+ * Copy to clipboard (with the API key redacted when "Redact Key on Copy" is on)
  */
 function copyToClipboard(elementId) {
     const element = document.getElementById(elementId);
-    const text = element.textContent;
+    const redact = document.getElementById('redactOnCopy')?.checked;
+    const text = redact ? redactApiKey(element.textContent) : element.textContent;
     
     navigator.clipboard.writeText(text).then(() => {
         // Find the copy button for this element
@@ -998,88 +1506,157 @@ function copyToClipboard(elementId) {
 }
 
 /**
- * Open generated request in Postman
+ * Save content as a file through a temporary object URL
+ */
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download an API client export (Postman downloads the collection and its environment)
  */
-function openInPostman() {
+function downloadClientExport(format) {
+    const bodyOutput = document.getElementById('bodyOutput');
+    if (!bodyOutput || !bodyOutput.textContent.trim()) {
+        showToast('Generate a request first!');
+        return;
+    }
+    
     try {
-        // Get the request body from the output
-        const bodyOutput = document.getElementById('bodyOutput');
-        if (!bodyOutput || !bodyOutput.textContent.trim()) {
-            showToast('Generate a request first!');
-            return;
-        }
-        
-        const requestBody = bodyOutput.textContent;
-        const config = getConfig();
+        const clientExports = generateClientExports(getConfig(), JSON.parse(bodyOutput.textContent));
+        const files = format === 'postman'
+            ? [clientExports.postman, clientExports['postman-env']]
+            : [clientExports[format]];
         
-        // Build the API URL
-        let apiUrl = config.apiEndpoint;
-        if (apiUrl && !apiUrl.includes('api-version') && config.apiVersion) {
-            apiUrl += (apiUrl.includes('?') ? '&' : '?') + 'api-version=' + config.apiVersion;
+        for (const file of files) {
+            downloadFile(file.name, file.content, file.type);
         }
         
-        // Create Postman collection format
-        const postmanCollection = {
-            info: {
-                name: "Qi Studio Generated Request",
-                schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json"
-            },
-            item: [{
-                name: "OpenAI Chat Completion",
-                request: {
-                    method: "POST",
-                    header: [
-                        { key: "Content-Type", value: "application/json" },
-                        { key: "api-key", value: config.apiKey || "{{api-key}}" }
-                    ],
-                    body: {
-                        mode: "raw",
-                        raw: requestBody,
-                        options: { raw: { language: "json" } }
-                    },
-                    url: {
-                        raw: apiUrl || "https://your-endpoint.openai.azure.com/openai/deployments/gpt-4/chat/completions",
-                        protocol: (apiUrl || "").startsWith("https") ? "https" : "http",
-                        host: [(apiUrl || "").split("//")[1]?.split("/")[0] || "your-endpoint.openai.azure.com"],
-                        path: (apiUrl || "").split("//")[1]?.split("/").slice(1).join("/").split("?")[0].split("/") || []
-                    }
-                }
-            }]
-        };
+        showToast(`Downloaded ${files.map(file => file.name).join(' + ')}`);
+    } catch (error) {
+        showError('Failed to export: ' + error.message);
+    }
+}
+
+/**
+ * Download the request bundle zip (body.json, request.sh, request.ps1, .env template)
+ */
+function downloadBundle() {
+    const bodyOutput = document.getElementById('bodyOutput');
+    if (!bodyOutput || !bodyOutput.textContent.trim()) {
+        showToast('Generate a request first!');
+        return;
+    }
+    
+    try {
+        const requestBody = JSON.parse(bodyOutput.textContent);
+        const zip = generateRequestBundle(getConfig(), requestBody);
+        
+        downloadFile('request-bundle.zip', zip, 'application/zip');
         
-        // Add host header if specified
-        if (config.hostHeader) {
-            postmanCollection.item[0].request.header.push({ key: "Host", value: config.hostHeader });
+        showToast('Bundle downloaded - set the API key in .env');
+    } catch (error) {
+        showError('Failed to build bundle: ' + error.message);
+    }
+}
+
+/**
+ * Read the conversations from the picked files of a file input
+ * (or the Messages input when no file is picked) - null when there is nothing to read
+ */
+async function readConversations(fileInputId) {
+    const files = Array.from(document.getElementById(fileInputId).files || []);
+    const conversations = [];
+    
+    if (files.length > 0) {
+        for (const file of files) {
+            const parsed = JSON.parse(await file.text());
+            conversations.push(...parseConversations(parsed, file.name.replace(/\.json$/i, '')));
+        }
+        return conversations;
+    }
+    
+    const messagesText = document.getElementById('messagesInput').value.trim();
+    if (!messagesText) return null;
+    return parseConversations(JSON.parse(messagesText));
+}
+
+/**
+ * Parse the Tools input for the multi-conversation exports
+ */
+function readInputTools() {
+    const toolsText = document.getElementById('toolsInput').value.trim();
+    return toolsText ? getInputToolsArray(JSON.parse(toolsText)) : [];
+}
+
+/**
+ * Download a Batch API .jsonl built from the picked conversation files
+ * (or the Messages input when no file is picked), with the current tools and config
+ */
+async function downloadBatch() {
+    try {
+        const conversations = await readConversations('batchFiles');
+        if (!conversations) {
+            showToast('Pick conversation files or paste messages first!');
+            return;
         }
         
-        // Convert to JSON and encode for URL
-        const collectionJson = JSON.stringify(postmanCollection);
-        const encodedCollection = encodeURIComponent(collectionJson);
+        const batch = generateBatchFile(getConfig(), conversations, readInputTools());
+        if (batch.count === 0) {
+            showError('No conversation had valid messages after conversion');
+            return;
+        }
         
-        // Try to open Postman with the collection
-        // Method 1: Postman deep link (opens Postman app if installed)
-        const postmanDeepLink = `postman://app/collections/import?data=${encodedCollection}`;
+        conversionWarnings = batch.warnings.concat(
+            batch.skipped.map(id => `${id}: skipped - no valid messages after conversion`)
+        );
+        checkWarnings();
         
-        // Create a hidden iframe to try the deep link
-        const iframe = document.createElement('iframe');
-        iframe.style.display = 'none';
-        document.body.appendChild(iframe);
+        downloadFile('batch.jsonl', batch.content, 'application/jsonl');
+        showToast(`✓ ${batch.count} requests${batch.skipped.length > 0 ? `, ${batch.skipped.length} skipped` : ''}`);
+    } catch (error) {
+        showError('Failed to build batch file: ' + error.message);
+    }
+}
+
+/**
+ * Download a chat fine-tuning .jsonl built from the picked conversation files
+ * (or the Messages input); conversations failing validation are left out and listed as warnings
+ */
+async function downloadFineTune() {
+    try {
+        const conversations = await readConversations('fineTuneFiles');
+        if (!conversations) {
+            showToast('Pick conversation files or paste messages first!');
+            return;
+        }
         
-        // Try deep link
-        iframe.src = postmanDeepLink;
+        const parallel = document.getElementById('parallelToolCalls').value;
+        const dataset = generateFineTuneFile(getConfig(), conversations, readInputTools(), {
+            weights: document.getElementById('fineTuneWeights').value,
+            parallelToolCalls: parallel === '' ? undefined : parallel === 'true'
+        });
         
-        // Show success message with fallback instructions
-        setTimeout(() => {
-            document.body.removeChild(iframe);
-            showToast('Opening Postman... If not opened, copy the JSON body and import manually.');
-        }, 500);
+        conversionWarnings = dataset.warnings.concat(dataset.errors);
+        checkWarnings();
         
-        // Also try window.open as fallback (some browsers block iframe approach)
-        window.open(postmanDeepLink, '_blank');
+        if (dataset.count === 0) {
+            showError('No conversation is a valid fine-tuning example - see the warnings');
+            return;
+        }
         
-    } catch (err) {
-        console.error('Postman open error:', err);
-        showToast('Could not open Postman. Copy the request body and import manually.');
+        downloadFile('fine-tune.jsonl', dataset.content, 'application/jsonl');
+        const invalid = conversations.length - dataset.count;
+        showToast(`✓ ${dataset.count} examples${invalid > 0 ? `, ${invalid} invalid` : ''}`);
+    } catch (error) {
+        showError('Failed to build fine-tuning file: ' + error.message);
     }
 }
 
@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+/**
+ * LLM CURL GENERATOR - Local Proxy Server
+ * Serves the web UI and forwards the Run button's /proxy requests to the gateway with the
+ * Host header override, TLS options and API key a browser cannot apply itself, then logs
+ * every request / response pair to disk.
+ * Run with: npm start [-- options]   (or: node server.js [options])
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { parseArgs } = require('util');
+const { PROXY_TARGET_URL_HEADER, PROXY_TARGET_HOST_HEADER } = require('./runner');
+
+const USAGE = `Usage: npm start -- [options]   (or: node server.js [options])
+
+Serves index.html on http://localhost:<port>/ and forwards POST /proxy to the URL in the
+${PROXY_TARGET_URL_HEADER} header (Host from ${PROXY_TARGET_HOST_HEADER}). \${..._API_KEY} references in the
+target URL and headers - the Run button sends the key that way with "Use Environment Variable" -
+are filled in from this server's environment.
+
+Options:
+  -p, --port <port>          Port to listen on (default: 3000, or $PORT)
+      --bind <address>       Interface to listen on (default: 127.0.0.1)
+      --allow-origin <url>   Let a UI served elsewhere (e.g. the Vercel deployment) call /proxy
+      --host-header <host>   Host header for requests without ${PROXY_TARGET_HOST_HEADER}
+      --api-key <key>        Key used for every \${..._API_KEY} reference (default: the environment variable)
+      --ca <file>            Trust this CA certificate (PEM) - for gateways with a private / self-signed CA
+  -k, --insecure             Do not verify the gateway certificate at all
+      --timeout <seconds>    Gateway response timeout (default: 300)
+      --log-dir <dir>        Where request / response pairs are written (default: logs)
+      --no-log               Do not write request / response logs
+  -h, --help                 Show this help
+`;
+
+const OPTIONS = {
+    port: { type: 'string', short: 'p' },
+    bind: { type: 'string', default: '127.0.0.1' },
+    'allow-origin': { type: 'string', multiple: true },
+    'host-header': { type: 'string' },
+    'api-key': { type: 'string' },
+    ca: { type: 'string' },
+    insecure: { type: 'boolean', short: 'k' },
+    timeout: { type: 'string', default: '300' },
+    'log-dir': { type: 'string', default: 'logs' },
+    'no-log': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const STATIC_ROOT = __dirname;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// Connection-level headers that must not be forwarded in either direction
+const HOP_BY_HOP_HEADERS = new Set([
+    'connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade', 'te', 'trailer', 'host', 'content-length'
+]);
+
+// Headers holding an API key (masked in the logs)
+const SECRET_HEADERS = new Set(['api-key', 'x-api-key', 'x-goog-api-key', 'authorization']);
+
+// Only these references are filled in - a request must not be able to read other environment variables
+const KEY_REFERENCE_PATTERN = /\$\{([A-Z][A-Z0-9_]*_API_KEY)\}/g;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Fill in ${..._API_KEY} references from --api-key or the environment
+ * Throws when a referenced variable is not set
+ */
+function expandKeyReferences(value, options) {
+    return value.replace(KEY_REFERENCE_PATTERN, (reference, name) => {
+        if (options.apiKey) return options.apiKey;
+        if (process.env[name] === undefined) {
+            throw new Error(`${name} is not set in the proxy's environment (start it with ${name}=... or --api-key)`);
+        }
+        return process.env[name];
+    });
+}
+
+/**
+ * Mask API keys in a URL query and in key headers (for the logs)
+ */
+function redactUrl(url) {
+    return url.replace(/([?&](?:api-key|key)=)[^&#]*/gi, '$1<redacted>');
+}
+
+/**
+ * Mask the key headers (for the logs)
+ */
+function redactHeaders(headers) {
+    const redacted = {};
+    for (const [name, value] of Object.entries(headers)) {
+        redacted[name] = SECRET_HEADERS.has(name.toLowerCase()) ? '<redacted>' : value;
+    }
+    return redacted;
+}
+
+/**
+ * Parse a logged body as JSON when possible (event streams and error pages stay text)
+ */
+function toLoggedBody(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * Host names the proxy answers to: loopback and the bind address. Any other Host header means
+ * a page reached this server through a foreign DNS name (DNS rebinding) and must not get the key.
+ */
+function getLocalHostnames(options) {
+    const hostnames = new Set(['localhost', '127.0.0.1', '[::1]']);
+    if (options.bind) hostnames.add(options.bind.includes(':') ? `[${options.bind}]` : options.bind);
+    return hostnames;
+}
+
+/**
+ * Whether a Host header names this server (a local host name, any port)
+ */
+function isLocalHost(host, options) {
+    try {
+        return getLocalHostnames(options).has(new URL(`http://${host}`).hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * CORS headers for an allowed cross-origin caller (none for same-origin / unknown origins)
+ */
+function getCorsHeaders(req, options) {
+    const origin = req.headers.origin;
+    if (!origin || !(options.allowOrigins || []).includes(origin)) return {};
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*',
+        'Access-Control-Expose-Headers': '*',
+        'Vary': 'Origin'
+    };
+}
+
+/**
+ * Send a JSON error in the { error: { message, type } } shape the APIs use
+ */
+function sendError(res, status, message, corsHeaders = {}) {
+    res.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: message, type: 'proxy_error' } }));
+}
+
+/**
+ * Read a request body as a Buffer
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// ============================================
+// REQUEST LOG
+// ============================================
+
+let logCounter = 0;
+
+/**
+ * Write one request / response pair as {log dir}/{timestamp}-{n}.json (keys redacted)
+ */
+function writeExchangeLog(options, exchange) {
+    if (!options.logDir) return null;
+    logCounter += 1;
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${logCounter}.json`;
+    const file = path.join(options.logDir, name);
+    try {
+        fs.mkdirSync(options.logDir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(exchange, null, 2) + '\n');
+    } catch (e) {
+        console.error(`⚠️  Could not write ${file}: ${e.message}`);
+        return null;
+    }
+    return file;
+}
+
+// ============================================
+// STATIC FILES
+// ============================================
+
+/**
+ * Serve a file of the web UI ("/" is index.html); nothing outside the project directory,
+ * no dotfiles and not the request logs
+ */
+function serveStatic(req, res, options) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        sendError(res, 400, `Malformed path: ${req.url}`);
+        return;
+    }
+    const file = path.join(STATIC_ROOT, pathname === '/' ? 'index.html' : pathname);
+    const relative = path.relative(STATIC_ROOT, file);
+    const inLogDir = options.logDir && !path.relative(options.logDir, file).startsWith('..');
+    if (relative.startsWith('..') || path.isAbsolute(relative) || inLogDir ||
+        relative.split(path.sep).some(part => part.startsWith('.'))) {
+        sendError(res, 403, 'Forbidden');
+        return;
+    }
+
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            sendError(res, 404, `Not found: ${pathname}`);
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+// ============================================
+// PROXY
+// ============================================
+
+/**
+ * Forward a /proxy request to the target URL and stream the response back
+ */
+async function handleProxy(req, res, options) {
+    const started = Date.now();
+    const corsHeaders = getCorsHeaders(req, options);
+    // createProxyServer only lets local Host names through, so a same-origin page is http://<that host>
+    const host = req.headers.host || '';
+    const origin = req.headers.origin;
+    if (origin && origin !== `http://${host}` && !corsHeaders['Access-Control-Allow-Origin']) {
+        sendError(res, 403, `Origin ${origin} may not use this proxy - start it with --allow-origin ${origin}`);
+        return;
+    }
+    const body = await readBody(req);
+
+    let targetUrl;
+    const headers = {};
+    let hostHeader = req.headers[PROXY_TARGET_HOST_HEADER.toLowerCase()] || options.hostHeader || null;
+    try {
+        const rawUrl = req.headers[PROXY_TARGET_URL_HEADER.toLowerCase()];
+        if (!rawUrl) throw new Error(`Missing ${PROXY_TARGET_URL_HEADER} header - the URL to forward to`);
+        targetUrl = new URL(expandKeyReferences(rawUrl, options));
+        if (targetUrl.protocol !== 'https:' && targetUrl.protocol !== 'http:') {
+            throw new Error(`${PROXY_TARGET_URL_HEADER} must be an http(s) URL`);
+        }
+        for (const [name, value] of Object.entries(req.headers)) {
+            const lower = name.toLowerCase();
+            if (HOP_BY_HOP_HEADERS.has(lower) || lower.startsWith('x-target-') || lower === 'origin' || lower === 'referer' ||
+                lower.startsWith('sec-') || lower === 'cookie') continue;
+            headers[name] = expandKeyReferences(String(value), options);
+        }
+    } catch (error) {
+        sendError(res, 400, error.message, corsHeaders);
+        return;
+    }
+    hostHeader = hostHeader || targetUrl.host;
+    headers.host = hostHeader;
+    headers['content-length'] = body.length;
+
+    const exchange = {
+        time: new Date(started).toISOString(),
+        request: {
+            method: req.method,
+            url: redactUrl(targetUrl.toString()),
+            host: hostHeader,
+            headers: redactHeaders(headers),
+            body: toLoggedBody(body.toString('utf8'))
+        }
+    };
+
+    const transport = targetUrl.protocol === 'https:' ? https : http;
+    const upstream = transport.request(targetUrl, {
+        method: req.method,
+        headers: headers,
+        ca: options.ca,
+        rejectUnauthorized: !options.insecure,
+        // The certificate belongs to the Host name, not the IP in the URL
+        checkServerIdentity: (hostname, cert) => tls.checkServerIdentity(hostHeader.replace(/:\d+$/, ''), cert),
+        timeout: options.timeoutMs
+    }, upstreamRes => {
+        const responseHeaders = { ...corsHeaders };
+        for (const [name, value] of Object.entries(upstreamRes.headers)) {
+            if (!HOP_BY_HOP_HEADERS.has(name.toLowerCase())) responseHeaders[name] = value;
+        }
+        res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, responseHeaders);
+
+        // Stream through (server-sent events arrive as they are sent) and keep a copy for the log
+        const chunks = [];
+        upstreamRes.on('data', chunk => {
+            chunks.push(chunk);
+            res.write(chunk);
+        });
+        upstreamRes.on('end', () => {
+            res.end();
+            const durationMs = Date.now() - started;
+            exchange.response = {
+                status: upstreamRes.statusCode,
+                headers: upstreamRes.headers,
+                body: upstreamRes.headers['content-encoding']
+                    ? `<${upstreamRes.headers['content-encoding']}-encoded, ${Buffer.concat(chunks).length} bytes>`
+                    : toLoggedBody(Buffer.concat(chunks).toString('utf8'))
+            };
+            exchange.durationMs = durationMs;
+            const logFile = writeExchangeLog(options, exchange);
+            console.log(`${req.method} ${redactUrl(targetUrl.toString())} → ${upstreamRes.statusCode} (${durationMs} ms)${logFile ? ` ${logFile}` : ''}`);
+        });
+    });
+
+    upstream.on('timeout', () => upstream.destroy(new Error(`No response within ${options.timeoutMs / 1000} s`)));
+    upstream.on('error', error => {
+        const hint = /certificate|self.signed|unable to verify/i.test(error.message)
+            ? ' - pass --ca <file> with the gateway CA, or --insecure'
+            : '';
+        exchange.error = error.message;
+        exchange.durationMs = Date.now() - started;
+        writeExchangeLog(options, exchange);
+        console.error(`${req.method} ${redactUrl(targetUrl.toString())} ✗ ${error.message}`);
+        if (res.headersSent) {
+            res.end();
+        } else {
+            sendError(res, 502, `Proxy could not reach ${targetUrl.host}: ${error.message}${hint}`, corsHeaders);
+        }
+    });
+    upstream.end(body);
+}
+
+/**
+ * Create the HTTP server (not listening yet)
+ * Options: { bind, hostHeader, apiKey, ca, insecure, timeoutMs, logDir, allowOrigins }
+ */
+function createProxyServer(options = {}) {
+    const settings = { timeoutMs: 300000, ...options };
+    return http.createServer((req, res) => {
+        // Pages and the proxy alike: a rebinding page must not read the UI files or logs either
+        const host = req.headers.host || '';
+        if (!isLocalHost(host, settings)) {
+            sendError(res, 403, `Host ${host || '(none)'} is not this server - open it via http://localhost:${req.socket.localPort}/`);
+            return;
+        }
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, getCorsHeaders(req, settings));
+            res.end();
+        } else if (pathname === '/proxy') {
+            if (req.method !== 'POST') {
+                sendError(res, 405, 'Use POST /proxy');
+                return;
+            }
+            handleProxy(req, res, settings).catch(error => sendError(res, 500, error.message));
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(req, res, settings);
+        } else {
+            sendError(res, 405, `${req.method} is not supported`);
+        }
+    });
+}
+
+module.exports = { createProxyServer, expandKeyReferences, redactUrl };
+
+// ============================================
+// MAIN EXECUTION
+// ============================================
+
+if (require.main === module) {
+    let args;
+    try {
+        args = parseArgs({ options: OPTIONS });
+    } catch (e) {
+        console.error(`llm-curl-proxy: ${e.message}`);
+        process.exit(1);
+    }
+    const { values } = args;
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        process.exit(0);
+    }
+
+    const port = parseInt(values.port || process.env.PORT || '3000', 10);
+    const timeoutSeconds = parseFloat(values.timeout);
+    if (Number.isNaN(port) || Number.isNaN(timeoutSeconds)) {
+        console.error('llm-curl-proxy: --port and --timeout expect numbers');
+        process.exit(1);
+    }
+
+    let ca;
+    if (values.ca) {
+        try {
+            ca = fs.readFileSync(values.ca);
+        } catch (e) {
+            console.error(`llm-curl-proxy: cannot read ${values.ca}: ${e.message}`);
+            process.exit(1);
+        }
+    }
+
+    const server = createProxyServer({
+        bind: values.bind,
+        hostHeader: values['host-header'],
+        apiKey: values['api-key'],
+        ca: ca,
+        insecure: values.insecure,
+        timeoutMs: timeoutSeconds * 1000,
+        logDir: values['no-log'] ? null : path.resolve(values['log-dir']),
+        allowOrigins: values['allow-origin'] || []
+    });
+    server.listen(port, values.bind, () => {
+        console.log(`✅ LLM Curl Generator on http://localhost:${port}/ - Run requests through http://localhost:${port}/proxy`);
+        if (values.insecure) console.log('⚠️  Gateway certificates are not verified (--insecure)');
+        if (!values['no-log']) console.log(`📝 Logging request / response pairs to ${path.resolve(values['log-dir'])}`);
+    });
+}
@@ -1,29 +1,19 @@
-const fs = require('fs');
-const vm = require('vm');
-
-// Minimal browser stubs so script.js can load in Node
-const fakeEl = () => ({
-  value: '',
-  textContent: '',
-  className: '',
-  style: {},
-  addEventListener: () => {},
-  scrollIntoView: () => {},
-  querySelector: () => ({ innerHTML: '', classList: { add(){}, remove(){} } }),
-  closest: () => ({ querySelector: () => ({ innerHTML: '', classList: { add(){}, remove(){} } }) })
-});
-
-global.document = {
-  addEventListener: () => {},
-  getElementById: () => fakeEl(),
-  querySelector: () => null,
-  body: { appendChild: () => {} },
-  createElement: () => fakeEl()
-};
-global.navigator = { clipboard: { writeText: async () => {} } };
-
-theCode = fs.readFileSync('script.js', 'utf8');
-vm.runInThisContext(theCode);
+const {
+  DEFAULT_CONFIG, getInputToolsArray, parseConversations, convertTools, buildToolNameMap, convertMessages, formatReportEntry,
+  toGeminiSchema, generateRequestBody, generateCurlCommand, generatePowerShellCommand, getRequestUrl
+} = require('./converter');
+const { parseCommand, checkCommandConsistency } = require('./command-parser');
+const { generateBundleFiles, generateRequestBundle } = require('./bundle');
+const { generateClientExports } = require('./client-exports');
+const { generateBatchFile } = require('./batch');
+const { validateFineTuneExample, generateFineTuneFile } = require('./finetune');
+const { buildRunRequest, parseRunResponse, parseErrorBody, runRequest, buildAssistantMessage, buildToolMessages } = require('./runner');
+const { compileToolMocks, runToolMock, scaffoldToolMocks, findUnknownMocks } = require('./tool-mocks');
+const { validateChatRequest, loadFixtures, createMockServer } = require('./mock-server');
+const { DEFAULT_PRICE_TABLE, createEncoder, countChatTokens, findModelPricing, estimateCost } = require('./tokenizer');
+const {
+  toPythonLiteral, toJsLiteral, generatePythonRequestsSnippet, generatePythonSdkSnippet, generateFetchSnippet, generateNodeSdkSnippet
+} = require('./snippets');
 
 const inputTools = [
   {
@@ -65,16 +55,384 @@ const messages = convertMessages(inputMessages, toolMap);
 const invalidRoles = messages.filter(m => !['system','user','assistant','tool','function','developer'].includes(m.role));
 const toolTypeOk = tools.every(t => t.type === 'function' && t.function && t.function.name);
 
+// Anthropic target: every tool_use must be answered by a tool_result with the same id;
+// temperature only (top_p when changed), a structured output schema is reported as dropped
+const anthropicBody = generateRequestBody({ ...DEFAULT_CONFIG, target: 'anthropic' }, messages, tools);
+const anthropicBlocks = anthropicBody.messages.flatMap(m => Array.isArray(m.content) ? m.content : []);
+const toolUseIds = anthropicBlocks.filter(b => b.type === 'tool_use').map(b => b.id);
+const toolResultIds = new Set(anthropicBlocks.filter(b => b.type === 'tool_result').map(b => b.tool_use_id));
+const anthropicReport = [];
+const anthropicTunedBody = generateRequestBody({ ...DEFAULT_CONFIG, target: 'anthropic', topP: 0.9, structuredOutputEnabled: true,
+  structuredOutputSchema: { type: 'object' } }, messages, tools, anthropicReport);
+const anthropicPairingOk = toolUseIds.every(id => toolResultIds.has(id)) &&
+  anthropicBody.messages.every((m, i) => i === 0 || m.role !== anthropicBody.messages[i - 1].role) &&
+  !('top_p' in anthropicBody) && anthropicBody.temperature === DEFAULT_CONFIG.temperature && anthropicTunedBody.top_p === 0.9 &&
+  anthropicReport.some(entry => entry.action === 'dropped_structured_output' && entry.level === 'warning');
+
+// Gemini target: every functionResponse must name the function of a preceding functionCall
+const geminiBody = generateRequestBody({ ...DEFAULT_CONFIG, target: 'gemini' }, messages, tools);
+const geminiParts = geminiBody.contents.flatMap(c => c.parts);
+const calledNames = new Set(geminiParts.filter(p => p.functionCall).map(p => p.functionCall.name));
+const geminiPairingOk = geminiParts.filter(p => p.functionResponse).every(p => calledNames.has(p.functionResponse.name)) &&
+  geminiBody.contents.every(c => c.role === 'user' || c.role === 'model');
+// Gemini only takes enums on strings: integer enums / consts are sent as string enums
+const geminiEnumSchema = toGeminiSchema({ type: 'object', properties: {
+  level: { type: 'integer', format: 'int32', enum: [1, 2, 3] }, ratio: { type: ['number', 'null'], const: 0.5 } } });
+const geminiEnumOk = JSON.stringify(geminiEnumSchema.properties.level) === '{"type":"string","enum":["1","2","3"]}' &&
+  JSON.stringify(geminiEnumSchema.properties.ratio) === '{"nullable":true,"type":"string","enum":["0.5"]}';
+
+// Responses target: every function_call_output must follow a function_call with the same call_id
+const responsesBody = generateRequestBody({ ...DEFAULT_CONFIG, target: 'responses' }, messages, tools);
+const seenCallIds = new Set();
+const responsesPairingOk = responsesBody.input.every(item => {
+  if (item.type === 'function_call') seenCallIds.add(item.call_id);
+  return item.type !== 'function_call_output' || seenCallIds.has(item.call_id);
+}) && responsesBody.input.every(item => item.role !== 'system');
+
+// Importer: generated curl / PowerShell commands must parse back to the same messages & tools
+const openaiBody = generateRequestBody(DEFAULT_CONFIG, messages, tools);
+const importRoundTripOk = [generateCurlCommand, generatePowerShellCommand].every(generate => {
+  const imported = parseCommand(generate(DEFAULT_CONFIG, openaiBody));
+  return JSON.stringify(imported.messages) === JSON.stringify(openaiBody.messages) &&
+    JSON.stringify(imported.tools) === JSON.stringify(openaiBody.tools);
+});
+
+// Shell escaping: bash / zsh / cmd.exe / PowerShell commands parse back (with our own parser) to the exact body, URL and headers
+const nasty = 'it\'s $HOME `whoami` "q" \\" \\\\ & | < > ^ %PATH% !x! ( ) ; * \n\t ünï 😀 \\';
+const nastyConfig = { ...DEFAULT_CONFIG, apiEndpoint: 'https://h/p?x=1&y=$z', apiKey: 'k\'$`"&%^!', hostHeader: 'h"o$t' };
+const nastyBody = { messages: [{ role: 'user', content: nasty }] };
+const shellEscapingOk = ['bash', 'zsh', 'cmd'].every(shell => {
+  const command = generateCurlCommand(nastyConfig, nastyBody, shell);
+  const imported = parseCommand(command);
+  return checkCommandConsistency(command, nastyBody) === null && imported.config.apiKey === nastyConfig.apiKey &&
+    imported.config.hostHeader === nastyConfig.hostHeader;
+}) && checkCommandConsistency(generatePowerShellCommand(nastyConfig, nastyBody), nastyBody) === null &&
+  parseCommand(generatePowerShellCommand(nastyConfig, nastyBody)).config.apiKey === nastyConfig.apiKey &&
+  getRequestUrl(nastyConfig).startsWith(parseCommand(generateCurlCommand(nastyConfig, nastyBody, 'cmd')).config.apiEndpoint);
+
+// Real shell: bash hands curl exactly the URL, Host header and body (skipped where bash is not installed)
+const bashArgs = require('child_process').spawnSync('bash', ['-c', `curl() { printf '%s\\0' "$@"; }\n${generateCurlCommand(nastyConfig, nastyBody, 'bash')}`], { encoding: 'utf8' });
+const bashCurlArgs = bashArgs.error ? null : bashArgs.stdout.split('\0');
+const realShellOk = bashCurlArgs === null || (bashCurlArgs.includes(getRequestUrl(nastyConfig)) &&
+  bashCurlArgs.includes(`Host: ${nastyConfig.hostHeader}`) &&
+  JSON.stringify(JSON.parse(bashCurlArgs[bashCurlArgs.indexOf('--data') + 1])) === JSON.stringify(nastyBody));
+
+// Request bundle: scripts read body.json and the key from .env, the entered key never lands in the zip
+const keyConfig = { ...DEFAULT_CONFIG, apiKey: 'sk-secret' };
+const bundleFiles = generateBundleFiles(keyConfig, openaiBody);
+const bundleZip = Buffer.from(generateRequestBundle(keyConfig, openaiBody));
+const bundleOk = bundleFiles.map(f => f.name).join() === 'body.json,request.sh,request.ps1,.env' &&
+  JSON.stringify(JSON.parse(bundleFiles[0].content)) === JSON.stringify(openaiBody) &&
+  bundleFiles[1].content.includes('--data @body.json') && bundleFiles[1].content.includes('"$OPENAI_API_KEY"') &&
+  bundleFiles[2].content.includes("-InFile 'body.json'") && bundleFiles[2].content.includes('$env:OPENAI_API_KEY') &&
+  bundleFiles.every(f => !f.content.includes('sk-secret')) &&
+  bundleZip.readUInt32LE(0) === 0x04034B50 && bundleZip.includes(bundleFiles[0].content) &&
+  bundleFiles[2].content.includes('[uri]::EscapeDataString($env:OPENAI_API_KEY)');
+// Real shell: request.sh percent-encodes a .env key with + & / = into the query (skipped where bash is not installed)
+const bundleDir = require('fs').mkdtempSync(require('path').join(require('os').tmpdir(), 'bundle-'));
+const queryKey = 'a+b&c/d=e é';
+bundleFiles.forEach(f => require('fs').writeFileSync(require('path').join(bundleDir, f.name), f.name === '.env' ? `OPENAI_API_KEY="${queryKey}"\n` : f.content));
+const bundleRun = require('child_process').spawnSync('bash', ['-c', 'curl() { printf "%s" "$2"; }; export -f curl; bash ./request.sh'],
+  { cwd: bundleDir, encoding: 'utf8' });
+require('fs').rmSync(bundleDir, { recursive: true, force: true });
+const bundleQueryOk = Boolean(bundleRun.error) || bundleRun.stdout.endsWith(`&api-key=${encodeURIComponent(queryKey)}`);
+
+// API client exports: the key only appears in the variables, never in the request itself
+const clientExports = generateClientExports(keyConfig, openaiBody);
+const postmanItem = JSON.parse(clientExports.postman.content).item[0].request;
+const insomniaResources = JSON.parse(clientExports.insomnia.content).resources;
+const clientExportsOk = !JSON.stringify(postmanItem).includes('sk-secret') &&
+  postmanItem.url.query.some(q => q.key === 'api-key' && q.value === '{{apiKey}}') &&
+  JSON.stringify(JSON.parse(postmanItem.body.raw)) === JSON.stringify(openaiBody) &&
+  JSON.parse(clientExports['postman-env'].content).values.some(v => v.key === 'apiKey' && v.value === 'sk-secret') &&
+  insomniaResources[2].url.includes('{{ _.apiKey }}') && insomniaResources[1].data.apiKey === 'sk-secret' &&
+  clientExports.bruno.content.includes('url: {{endpoint}}?') && clientExports.bruno.content.includes('  apiKey: sk-secret') &&
+  clientExports.http.content.startsWith('@endpoint = ') && clientExports.http.content.includes('Host: {{host}}');
+
+// Auth modes: header / bearer keep the key out of the URL; env mode references the variable instead of the key
+const bearerConfig = { ...keyConfig, authMode: 'bearer' };
+const envConfig = { ...keyConfig, authMode: 'header', apiKeyFromEnv: true };
+const envOutputs = [
+  generateCurlCommand(envConfig, openaiBody), generateCurlCommand(envConfig, openaiBody, 'cmd'),
+  generatePowerShellCommand(envConfig, openaiBody), generatePythonRequestsSnippet(envConfig, openaiBody),
+  generateFetchSnippet(envConfig, openaiBody), generateClientExports(envConfig, openaiBody).http.content
+];
+const authOk = !getRequestUrl(bearerConfig).includes('api-key') &&
+  generateCurlCommand(bearerConfig, openaiBody).includes("--header 'Authorization: Bearer sk-secret'") &&
+  parseCommand(generateCurlCommand(bearerConfig, openaiBody)).config.authMode === 'bearer' &&
+  envOutputs[0].includes(`--header 'api-key: '"$OPENAI_API_KEY"`) && envOutputs[1].includes('%OPENAI_API_KEY%') &&
+  envOutputs[2].includes("'api-key' = $env:OPENAI_API_KEY") && envOutputs[3].includes('"api-key": os.environ["OPENAI_API_KEY"]') &&
+  envOutputs[5].includes('@apiKey = {{$processEnv OPENAI_API_KEY}}') && envOutputs.every(output => !output.includes('sk-secret'));
+
+// Streaming: stream + include_usage in the body, curl --no-buffer, PowerShell reads the stream via HttpClient
+const streamConfig = { ...DEFAULT_CONFIG, streamEnabled: true };
+const streamBody = generateRequestBody(streamConfig, [{ role: 'user', content: 'hi' }], []);
+const streamPs = generatePowerShellCommand(streamConfig, streamBody);
+const streamOk = streamBody.stream === true && streamBody.stream_options.include_usage === true &&
+  generateCurlCommand(streamConfig, streamBody).startsWith('curl --location --no-buffer ') &&
+  !streamPs.includes('Invoke-RestMethod -Uri') && streamPs.includes('$reader.ReadLine()') &&
+  checkCommandConsistency(streamPs, streamBody) === null &&
+  checkCommandConsistency(streamPs.replace(/^#.*$/gm, ''), streamBody) === null && parseCommand(streamPs).config.streamEnabled === true &&
+  getRequestUrl({ ...streamConfig, target: 'gemini' }).endsWith(':streamGenerateContent?alt=sse') &&
+  generatePythonRequestsSnippet(streamConfig, streamBody).includes('stream=True');
+
+// Batch API export: one {custom_id, method, url, body} line per conversation, shared tools, ids kept or generated
+const batchConversations = parseConversations([
+  [{ role: 'user', content: 'first' }],
+  { custom_id: 'case-7', messages: [{ role: 'user', content: 'second' }] }
+], 'captured');
+const batch = generateBatchFile({ ...DEFAULT_CONFIG, model: 'gpt-4o-mini', streamEnabled: true }, batchConversations, inputTools);
+const batchLines = batch.content.trim().split('\n').map(line => JSON.parse(line));
+const batchOk = batch.count === 2 && batchLines.map(line => line.custom_id).join() === 'captured-1,case-7' &&
+  batchLines.every(line => line.method === 'POST' && line.url === '/v1/chat/completions' &&
+    line.body.model === 'gpt-4o-mini' && line.body.tools.length === 2 && line.body.stream === undefined) &&
+  parseConversations([{ role: 'user', content: 'x' }], 'single')[0].customId === 'single';
+// An agent node pasted as Tools input exports its config.tools
+const agentNodeInput = { type: 'agent', id: 'a1', config: { tools: inputTools } };
+const agentNodeBatchOk = generateBatchFile(DEFAULT_CONFIG, batchConversations, getInputToolsArray(agentNodeInput)).content
+  .trim().split('\n').every(line => JSON.parse(line).body.tools.length === 2);
+
+// Fine-tuning export: weights kept / set on assistant turns, invalid conversations left out with errors
+const fineTuneConversations = parseConversations([
+  [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'draft', weight: 0 }, { role: 'user', content: 'again' }, { role: 'assistant', content: 'final' }],
+  [{ role: 'user', content: 'no reply' }],
+  [{ role: 'user', content: 'call' }, { role: 'assistant', content: '', tool_calls: [{ id: 'x1', name: 'create_summary', args: {} }] }]
+], 'ft');
+const fineTune = generateFineTuneFile(DEFAULT_CONFIG, fineTuneConversations, inputTools, { parallelToolCalls: false });
+const fineTuneExample = JSON.parse(fineTune.content);
+const fineTuneOk = fineTune.count === 1 && fineTuneExample.tools.length === 2 && fineTuneExample.parallel_tool_calls === false &&
+  fineTuneExample.messages[1].weight === 0 && fineTuneExample.messages[3].weight === undefined &&
+  fineTune.errors.some(error => error.startsWith('ft-2: The last message must be an assistant reply')) &&
+  fineTune.errors.some(error => error.startsWith('ft-3:') && error.includes('stub response added')) &&
+  validateFineTuneExample({ messages: [{ role: 'user', content: 'u' }, { role: 'assistant', content: '', tool_calls: [{ id: 'y', type: 'function', function: { name: 'missing', arguments: '{}' } }] }, { role: 'tool', tool_call_id: 'y', content: 'r' }, { role: 'assistant', content: 'ok' }] })
+    .some(error => error.includes('"missing" has no matching entry in "tools"'));
+const agentNodeFineTuneOk = JSON.parse(generateFineTuneFile(DEFAULT_CONFIG, fineTuneConversations, getInputToolsArray(agentNodeInput)).content)
+  .tools.length === 2;
+
+// Token estimate: offline o200k / cl100k encoders (ids as in tiktoken, long runs stay fast), chat overhead, tool definitions, pricing
+const o200k = createEncoder('o200k_base', require('./vendor/tiktoken/o200k_base'));
+const cl100k = createEncoder('cl100k_base', require('./vendor/tiktoken/cl100k_base'));
+const tokenCounts = countChatTokens(o200k, messages, tools);
+const gpt4oPricing = findModelPricing(DEFAULT_PRICE_TABLE, 'gpt-4o-2024-08-06');
+const tokensOk = JSON.stringify(o200k.encode('hello world')) === '[24912,2375]' &&
+  JSON.stringify(cl100k.encode('hello world')) === '[15339,1917]' &&
+  JSON.stringify(o200k.encode('naïve 日本語 🙂')) === '[1503,9954,737,17428,40909,26192]' &&
+  o200k.count('x'.repeat(20000)) === 2500 && cl100k.count('='.repeat(3000)) === cl100k.count('='.repeat(1500)) * 2 &&
+  countChatTokens(o200k, [{ role: 'user', content: 'hi' }], []).total === 8 &&
+  tokenCounts.messages.length === messages.length && tokenCounts.toolDefinitions > 0 &&
+  tokenCounts.total === tokenCounts.messages.reduce((sum, m) => sum + m.tokens, 0) + tokenCounts.toolDefinitions + 3 &&
+  gpt4oPricing.model === 'gpt-4o' && findModelPricing(DEFAULT_PRICE_TABLE, 'gpt-4o-mini').model === 'gpt-4o-mini' &&
+  estimateCost(gpt4oPricing, 1e6, 1e6).total === gpt4oPricing.input + gpt4oPricing.output;
+
+// Run: proxy request carries the target URL / Host, every target's JSON and SSE responses normalize the same way
+const runGatewayConfig = { ...DEFAULT_CONFIG, apiEndpoint: 'https://10.0.0.1/openai/deployments/gpt-5.2/chat/completions', hostHeader: 'gw.example.com' };
+const proxyRun = buildRunRequest({ ...runGatewayConfig, apiKeyFromEnv: true }, { messages: [] }, '/proxy');
+const directRun = buildRunRequest(runGatewayConfig, { messages: [] }, null);
+const anthropicStream = [
+  'event: message_start', 'data: {"type":"message_start","message":{"usage":{"input_tokens":10,"output_tokens":1}}}', '',
+  'event: content_block_start', 'data: {"type":"content_block_start","index":0,"content_block":{"type":"tool_use","id":"toolu_1","name":"get_weather","input":{}}}', '',
+  'event: content_block_delta', 'data: {"type":"content_block_delta","index":0,"delta":{"type":"input_json_delta","partial_json":"{\\"city\\": "}}', '',
+  'event: content_block_delta', 'data: {"type":"content_block_delta","index":0,"delta":{"type":"input_json_delta","partial_json":"\\"Paris\\"}"}}', '',
+  'event: message_delta', 'data: {"type":"message_delta","delta":{"stop_reason":"tool_use"},"usage":{"output_tokens":15}}', ''
+].join('\n');
+const anthropicRun = parseRunResponse('anthropic', anthropicStream, 'text/event-stream');
+const responsesRun = parseRunResponse('responses', JSON.stringify({ status: 'completed', output: [
+  { type: 'reasoning', summary: [] },
+  { type: 'function_call', call_id: 'call_9', name: 'lookup', arguments: '{"id":1}' }
+], usage: { input_tokens: 30, output_tokens: 40, total_tokens: 70, output_tokens_details: { reasoning_tokens: 32 } } }));
+const geminiRun = parseRunResponse('gemini', JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'STOP' }],
+  usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 1, thoughtsTokenCount: 9, totalTokenCount: 14 } }));
+const runOk = proxyRun.url === '/proxy' && proxyRun.headers['X-Target-Host'] === 'gw.example.com' &&
+  proxyRun.headers['X-Target-Url'].endsWith('&api-key=${OPENAI_API_KEY}') && !('Host' in directRun.headers) &&
+  directRun.url.startsWith('https://10.0.0.1/') &&
+  anthropicRun.toolCalls[0].arguments === '{"city": "Paris"}' && anthropicRun.finishReason === 'tool_use' &&
+  anthropicRun.usage.input === 10 && anthropicRun.usage.output === 15 && anthropicRun.usage.total === 25 &&
+  responsesRun.toolCalls[0].id === 'call_9' && responsesRun.finishReason === 'completed' && responsesRun.usage.reasoning === 32 &&
+  geminiRun.text === 'Hi' && geminiRun.finishReason === 'STOP' && geminiRun.usage.reasoning === 9 &&
+  parseErrorBody('{"error":{"message":"bad role"}}').message === 'bad role' && parseErrorBody('<html>502</html>').message === null;
+
+// Continuation: a response (Gemini - no call ids) appended with its tool results converts back into a paired turn
+const continuedRun = parseRunResponse('gemini', JSON.stringify({ candidates: [{ content: { parts: [
+  { functionCall: { name: 'lookup', args: { id: 1 } } }, { functionCall: { name: 'lookup', args: { id: 2 } } }
+] }, finishReason: 'STOP' }] }));
+const continuedAssistant = buildAssistantMessage(continuedRun);
+const [firstCall, secondCall] = continuedAssistant.tool_calls;
+const continuedMessages = convertMessages([{ role: 'user', content: 'Look up 1 and 2' }, continuedAssistant,
+  ...buildToolMessages(continuedAssistant, { [firstCall.id]: '{"name":"one"}' })], toolMap);
+const continuationOk = firstCall.id !== secondCall.id && firstCall.function.arguments === '{"id":1}' &&
+  continuedMessages.length === 4 && continuedMessages[2].tool_call_id === firstCall.id && continuedMessages[2].content === '{"name":"one"}' &&
+  continuedMessages[3].tool_call_id === secondCall.id && continuedMessages[3].content === '' &&
+  !('tool_calls' in buildAssistantMessage(geminiRun)) && buildAssistantMessage(geminiRun).content === 'Hi';
+
+// Tool mocks: argument cases with templates, static fallback, JS functions, failures (incl. async and unserializable results) surface as tool errors
+const toolMocks = compileToolMocks({
+  lookup: { cases: [{ when: { 'contract.id': 'C1' }, result: { supplier: 'Acme', id: '{{contract.id}}' } }], result: 'No contract {{contract.id}}' },
+  add: { function: 'return { sum: args.a + args.b };' },
+  broken: { function: 'throw new Error("backend down");' },
+  onlyCases: { cases: [{ when: { a: 1 }, result: 'one' }] },
+  later: { function: 'return Promise.reject(new Error("nope"));' },
+  big: { function: 'return { n: 1n };' },
+  circular: { function: 'const a = {}; a.self = a; return a;' }
+});
+const mockedCase = runToolMock(toolMocks, 'lookup', '{"contract":{"id":"C1"}}');
+let badMockRejected = false;
+try { compileToolMocks({ f: { function: 'return {' } }); } catch (e) { badMockRejected = /"f"/.test(e.message); }
+const mocksOk = mockedCase.content === '{"supplier":"Acme","id":"C1"}' && mockedCase.source === 'case 1' &&
+  runToolMock(toolMocks, 'lookup', '{"contract":{"id":"C2"}}').content === 'No contract C2' &&
+  runToolMock(toolMocks, 'add', '{"a":2,"b":3}').content === '{"sum":5}' &&
+  runToolMock(toolMocks, 'broken', '{}').content === '{"error":"backend down"}' &&
+  runToolMock(toolMocks, 'lookup', '{oops').error !== null &&
+  runToolMock(toolMocks, 'onlyCases', '{"a":2}').mocked === false && runToolMock(toolMocks, 'missing', '{}').mocked === false &&
+  runToolMock(toolMocks, 'constructor', '{}').mocked === false && runToolMock(toolMocks, 'toString', '{}').mocked === false &&
+  /returned a Promise/.test(runToolMock(toolMocks, 'later', '{}').error) &&
+  ['big', 'circular'].every(name => /not JSON-serializable/.test(JSON.parse(runToolMock(toolMocks, name, '{}').content).error)) &&
+  scaffoldToolMocks([{ type: 'function', function: { name: 'constructor' } }], {}).constructor.result !== undefined &&
+  badMockRejected &&
+  Object.keys(scaffoldToolMocks(tools, { [tools[0].function.name]: { result: 1 } })).length === tools.length &&
+  scaffoldToolMocks(tools, { [tools[0].function.name]: { result: 1 } })[tools[0].function.name].result === 1 &&
+  findUnknownMocks(tools, { nope: {} }).join() === 'nope';
+
+// Mock server rules: generated Chat Completions bodies (incl. strict structured output) pass, broken ones get the API's 400s
+const mockStructuredBody = generateRequestBody({ ...DEFAULT_CONFIG, structuredOutputEnabled: true,
+  structuredOutputSchema: { type: 'object', properties: { a: { type: 'object', properties: { b: { type: 'string' } } } } } }, messages, tools);
+const mockErrors = body => validateChatRequest(body).map(error => `${error.param}:${error.code}`);
+const mockRulesOk = mockErrors(generateRequestBody(DEFAULT_CONFIG, messages, tools)).length === 0 &&
+  mockErrors(mockStructuredBody).length === 0 &&
+  mockErrors({ messages: [{ role: 'agent', content: 'x' }] })[0] === 'messages[0].role:invalid_value' &&
+  mockErrors({ messages: [{ role: 'tool', tool_call_id: 'x', content: 'r' }] })[0] === 'messages.[0].role:null' &&
+  mockErrors({ messages: [{ role: 'user', content: 'u' }, { role: 'assistant', tool_calls: [{ id: 'a', type: 'function', function: { name: 'f', arguments: '{}' } }] }] })[0] === 'messages.[1].role:null' &&
+  mockErrors({ messages: [{ role: 'user', content: 'u' }], tools: [{ type: 'function', function: { name: 'get weather' } }] })[0] === 'tools[0].function.name:invalid_value' &&
+  mockErrors({ messages: [{ role: 'user', content: 'u' }], tools: [{ type: 'function', function: { name: 'f', strict: true, parameters: { type: 'object', properties: { a: { type: 'string' } } } } }] })[0] === 'tools[0].function.parameters:invalid_function_parameters' &&
+  mockErrors({ messages: [{ role: 'user', content: 'u' }], tools: [null] })[0] === 'tools[0]:invalid_type' &&
+  mockErrors({ messages: [{ role: 'user', content: 'u' }], tools: [{ type: 'function', function: { name: 'f', parameters: { properties: { a: null } } } }] })[0] === 'tools[0].function.parameters:invalid_function_parameters' &&
+  mockErrors({ messages: [{ role: 'user', content: 'u' }, { role: 'assistant', tool_calls: [{ id: 'a', type: 'function' }] }] })[0] === 'messages[1].tool_calls[0].function:missing_required_parameter' &&
+  mockErrors({ messages: [{ role: 'user', content: [null] }] })[0] === 'messages[0].content[0]:invalid_type';
+
+// Python snippets: body rendered as a Python literal, Azure deployment endpoints use AzureOpenAI
+const azureConfig = { ...DEFAULT_CONFIG, apiEndpoint: 'https://example.com/gw/openai/deployments/gpt-5.2/chat/completions' };
+const pythonOk = toPythonLiteral({ a: [true, false, null], b: 'x"y' }) === '{\n    "a": [\n        True,\n        False,\n        None\n    ],\n    "b": "x\\"y"\n}' &&
+  generatePythonRequestsSnippet(azureConfig, openaiBody).includes('api-version=2024-02-01') &&
+  /azure_endpoint="https:\/\/example\.com\/gw"[\s\S]*model="gpt-5\.2"[\s\S]*tools=\[/.test(generatePythonSdkSnippet(azureConfig, openaiBody));
+
+// JavaScript snippets: body rendered as a JS literal, fetch keeps the curl URL, SDK params are typed
+const jsOk = toJsLiteral({ a: [true, null], 'b-c': 'x' }) === '{\n  a: [\n    true,\n    null,\n  ],\n  "b-c": "x",\n}' &&
+  generateFetchSnippet(azureConfig, openaiBody).includes('?api-version=2024-02-01&api-key=') &&
+  /new AzureOpenAI\([\s\S]*deployment: "gpt-5\.2"[\s\S]*const params: OpenAI\.Chat\.ChatCompletionCreateParamsNonStreaming/.test(generateNodeSdkSnippet(azureConfig, openaiBody));
+
+// Multimodal: image parts are kept as image_url parts when enabled, and reported when dropped
+const imageMessage = [{ role: 'user', content: [{ type: 'text', text: 'see' }, { type: 'image', url: 'https://example.com/a.png' }] }];
+const droppedReport = [];
+const textOnly = convertMessages(imageMessage, toolMap, { report: droppedReport });
+const multimodal = convertMessages(imageMessage, toolMap, { multimodal: true });
+const multimodalOk = textOnly[0].content === 'see' && droppedReport.length === 1 &&
+  Array.isArray(multimodal[0].content) && multimodal[0].content[1].type === 'image_url';
+
+// Pairing: parallel tool responses arriving out of order are matched by name, unanswered calls get a stub
+const parallelMessages = [
+  { role: 'assistant', content: '', tool_calls: [{ id: 'p1', name: 'store_description_of_changes_handoff', args: {} }, { id: 'p2', name: 'create_summary', args: {} }] },
+  { role: 'create_summary', content: 'summary result' },
+  { role: 'handoff_to_node', content: 'handoff result' },
+  { role: 'assistant', content: '', tool_calls: [{ id: 'p3', name: 'create_summary', args: {} }] },
+  { role: 'user', content: 'next' }
+];
+const paired = convertMessages(parallelMessages, toolMap);
+const pairingOk = paired[1].tool_call_id === 'p2' && paired[2].tool_call_id === 'p1' &&
+  paired[4].role === 'tool' && paired[4].tool_call_id === 'p3' && paired[5].role === 'user';
+
+// Role mapping: node_metadata.nodeType decides the role of messages named after Qi Studio nodes
+const nodeMessages = [
+  { role: 'assistant', content: '', tool_calls: [{ id: 'h1', name: 'handoff_to_node', args: {} }] },
+  { role: 'handoff_to_node', content: 'handed off', additional_kwargs: { node_metadata: { nodeType: 'tool' } } },
+  { role: 'research_agent', content: 'findings', additional_kwargs: { node_metadata: { nodeType: 'agent' } } },
+  { role: 'writer', content: '', tool_calls: [{ id: 'w1', name: 'create_summary', args: {} }], additional_kwargs: { node_metadata: { nodeType: 'llm' } } },
+  { role: 'save_node', content: 'saved', additional_kwargs: { node_metadata: { nodeType: 'script' } } }
+];
+const mapped = convertMessages(nodeMessages, toolMap);
+const roleMappingOk = mapped.map(m => m.role).join() === 'assistant,tool,assistant,assistant,tool' &&
+  mapped[2].content === 'findings' && mapped[4].tool_call_id === 'w1';
+
+// Conversion report: every transformation is recorded with the index of the input it came from
+const report = [];
+convertTools([...inputTools, { name: 'ping', type: 'tool', config: { schema: { type: 'object', properties: {}, additionalProperties: false } } }], report);
+const reportedMessages = convertMessages([...inputMessages, { role: 'tool', tool_call_id: 'late', content: 'late' }, { role: 'user', content: '' }], toolMap, { report });
+generateRequestBody({ ...DEFAULT_CONFIG, structuredOutputEnabled: true, structuredOutputSchema: { type: 'object', properties: { a: { type: 'string' } } } },
+  reportedMessages, tools, report);
+const reportActions = report.map(e => `${e.stage}:${e.index}:${e.action}`);
+const reportOk = ['tools:0:renamed_tool', 'tools:2:relaxed_additional_properties', 'messages:7:skipped_empty_message',
+  'messages:2:inferred_tool_name', 'messages:5:mapped_role', 'messages:6:dropped_orphan_response', 'structured_output:null:forced_required',
+  'structured_output:null:forced_additional_properties'].every(a => reportActions.includes(a)) &&
+  report.every(e => typeof formatReportEntry(e) === 'string');
+
 console.log('Converted tools:', tools.length);
 console.log('Converted messages:', messages.length);
 console.log('Invalid roles count:', invalidRoles.length);
 console.log('All tools function format:', toolTypeOk);
+console.log('Anthropic tool_use/tool_result pairing:', anthropicPairingOk);
+console.log('Gemini functionCall/functionResponse pairing:', geminiPairingOk);
+console.log('Gemini enum schemas:', geminiEnumOk);
+console.log('Responses function_call/function_call_output pairing:', responsesPairingOk);
+console.log('Command import round trip:', importRoundTripOk);
+console.log('Shell escaping self-consistency:', shellEscapingOk);
+console.log(`Real shell (bash) arguments: ${realShellOk}${bashCurlArgs === null ? ' (bash not found - skipped)' : ''}`);
+console.log('Request bundle:', bundleOk && bundleQueryOk);
+console.log('API client exports:', clientExportsOk);
+console.log('Auth modes & env key references:', authOk);
+console.log('Streaming request mode:', streamOk);
+console.log('Batch API export:', batchOk && agentNodeBatchOk);
+console.log('Fine-tuning export:', fineTuneOk && agentNodeFineTuneOk);
+console.log('Token estimate:', tokensOk);
+console.log('Run request & response parsing:', runOk);
+console.log('Run continuation messages:', continuationOk);
+console.log('Tool mocks:', mocksOk);
+console.log('Mock server request rules:', mockRulesOk);
+console.log('Python snippets:', pythonOk);
+console.log('JavaScript snippets:', jsOk);
+console.log('Multimodal content parts:', multimodalOk);
+console.log('Name-aware tool response pairing:', pairingOk);
+console.log('Node metadata role mapping:', roleMappingOk);
+console.log('Conversion report:', reportOk);
 
 console.log('\nMessages preview:');
 for (const m of messages) {
   console.log('-', m.role, m.tool_call_id ? `(tool_call_id=${m.tool_call_id})` : '');
 }
 
-if (invalidRoles.length > 0 || !toolTypeOk) {
+if (invalidRoles.length > 0 || !toolTypeOk || !anthropicPairingOk || !geminiPairingOk || !geminiEnumOk || !responsesPairingOk || !importRoundTripOk || !shellEscapingOk || !realShellOk || !bundleOk || !bundleQueryOk || !clientExportsOk || !authOk || !streamOk || !batchOk || !agentNodeBatchOk || !fineTuneOk || !agentNodeFineTuneOk || !tokensOk || !runOk || !continuationOk || !mocksOk || !mockRulesOk || !pythonOk || !jsOk || !multimodalOk || !pairingOk || !roleMappingOk || !reportOk) {
   process.exit(1);
 }
+
+// Run flow against the mock server (no network, no key): fixture tool call, streamed reply, scripted 429, validation 400
+async function checkMockServerRun() {
+  const server = createMockServer({ fixtures: loadFixtures(require('path').join(__dirname, 'mock-fixtures.json')) });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const mockConfig = { ...DEFAULT_CONFIG, apiEndpoint: `http://127.0.0.1:${server.address().port}/v1/chat/completions` };
+  const run = (config, runMessages) =>
+    runRequest('openai', buildRunRequest(config, generateRequestBody(config, runMessages, tools), null));
+  try {
+    const toolTurn = await run(mockConfig, [{ role: 'user', content: 'Extend contract CDR0027626' }]);
+    const streamed = await run({ ...mockConfig, streamEnabled: true }, [
+      { role: 'user', content: 'Extend contract CDR0027626' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'getting_supplier_infromation_using_contract_number', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"supplier":"Acme"}' }
+    ]);
+    const limited = await run(mockConfig, [{ role: 'user', content: 'hit the rate limit' }]);
+    const rejected = await run(mockConfig, [{ role: 'tool', tool_call_id: 'nope', content: 'orphan' }]);
+    return toolTurn.ok && toolTurn.response.finishReason === 'tool_calls' &&
+      toolTurn.response.toolCalls[0].name === 'getting_supplier_infromation_using_contract_number' &&
+      JSON.parse(toolTurn.response.toolCalls[0].arguments).contract_number === 'CDR0027626' && toolTurn.response.usage.input > 0 &&
+      streamed.ok && streamed.contentType.startsWith('text/event-stream') && streamed.response.text.startsWith('The contract CDR0027626') &&
+      streamed.response.finishReason === 'stop' && streamed.response.usage.total > 0 &&
+      limited.status === 429 && limited.error.message.startsWith('Rate limit reached') &&
+      rejected.status === 400 && rejected.error.message.includes("must be a response to a preceeding message with 'tool_calls'");
+  } finally {
+    server.close();
+  }
+}
+
+checkMockServerRun().then(mockRunOk => {
+  console.log('\nMock server run flow:', mockRunOk);
+  if (!mockRunOk) process.exit(1);
+}, error => {
+  console.error('Mock server run flow failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,340 @@
+/**
+ * LLM CURL GENERATOR - Code Snippets
+ * Generates runnable client code (Python, JavaScript / TypeScript) from the same request body
+ * as the curl / PowerShell commands (no DOM access).
+ * Loaded by index.html as a plain <script> after converter.js (exposes window.CodeSnippets)
+ * and by the Node scripts via require('./snippets').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./converter'));
+    } else {
+        root.CodeSnippets = factory(root.CurlConverter);
+    }
+})(typeof self !== 'undefined' ? self : this, function (converter) {
+'use strict';
+
+const {
+    AZURE_DEPLOYMENT_PATTERN,
+    MODEL_PLACEHOLDER,
+    getRequestUrl,
+    getRequestHeaders,
+    getApiKeyEnv,
+    withApiKeySentinel
+} = converter;
+
+const INDENT = '    ';
+const JS_INDENT = '  ';
+
+const JS_IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Render a JSON value as a Python literal (dict / list / str / True / False / None).
+ * JSON string escapes are valid Python string escapes, so strings are reused as-is.
+ */
+function toPythonLiteral(value, level = 0) {
+    if (value === null || value === undefined) return 'None';
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    if (typeof value === 'number' || typeof value === 'string') return JSON.stringify(value);
+
+    const pad = INDENT.repeat(level + 1);
+    const closePad = INDENT.repeat(level);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        const items = value.map(item => `${pad}${toPythonLiteral(item, level + 1)}`);
+        return `[\n${items.join(',\n')}\n${closePad}]`;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 0) return '{}';
+    const entries = keys.map(key => `${pad}${JSON.stringify(key)}: ${toPythonLiteral(value[key], level + 1)}`);
+    return `{\n${entries.join(',\n')}\n${closePad}}`;
+}
+
+/**
+ * Render keyword arguments, one per line: name=value
+ */
+function toPythonKwargs(args, level = 1) {
+    const pad = INDENT.repeat(level);
+    return Object.keys(args)
+        .map(name => `${pad}${name}=${toPythonLiteral(args[name], level)},`)
+        .join('\n');
+}
+
+/**
+ * Render a JSON value as a JavaScript / TypeScript literal (2-space indent, unquoted identifier keys)
+ */
+function toJsLiteral(value, level = 0) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value !== 'object') return JSON.stringify(value);
+
+    const pad = JS_INDENT.repeat(level + 1);
+    const closePad = JS_INDENT.repeat(level);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        const items = value.map(item => `${pad}${toJsLiteral(item, level + 1)}`);
+        return `[\n${items.join(',\n')},\n${closePad}]`;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 0) return '{}';
+    const entries = keys.map(key => {
+        const name = JS_IDENTIFIER.test(key) ? key : JSON.stringify(key);
+        return `${pad}${name}: ${toJsLiteral(value[key], level + 1)}`;
+    });
+    return `{\n${entries.join(',\n')},\n${closePad}}`;
+}
+
+/**
+ * Replace the API key sentinel inside rendered string literals with an expression
+ * that reads the key from the environment ("...&api-key=" + os.environ["OPENAI_API_KEY"])
+ */
+function injectKeyReference(code, reference) {
+    return code
+        .replace(/\\u0000API_KEY\\u0000/g, `" + ${reference} + "`)
+        .replace(/"" \+ /g, '')
+        .replace(/ \+ ""/g, '');
+}
+
+// fetch (browsers and Node - also used by the openai npm SDK) never sends a custom Host header
+const JS_HOST_NOTE = (host, sender) =>
+    `// Note: ${sender} drops the Host header (${host}) - point the URL at a hostname the gateway routes on.\n`;
+
+// ============================================
+// PYTHON GENERATORS
+// ============================================
+
+/**
+ * Generate a Python `requests` snippet (same URL and headers as the curl command);
+ * streaming requests print the server-sent event lines as they arrive
+ */
+function generatePythonRequestsSnippet(config, requestBody) {
+    const keyedConfig = withApiKeySentinel(config);
+    const headers = {};
+    for (const [name, value] of getRequestHeaders(keyedConfig)) {
+        headers[name] = value;
+    }
+    const keyReference = `os.environ[${JSON.stringify(getApiKeyEnv(config))}]`;
+    const request = injectKeyReference(`url = ${JSON.stringify(getRequestUrl(keyedConfig))}
+
+headers = ${toPythonLiteral(headers)}`, keyReference);
+
+    return `import json
+${config.apiKeyFromEnv ? 'import os\n' : ''}
+import requests
+
+${request}
+
+body = ${toPythonLiteral(requestBody)}
+
+${requestBody.stream ? `response = requests.post(url, headers=headers, json=body, timeout=600, stream=True)
+response.raise_for_status()
+for line in response.iter_lines(decode_unicode=True):
+    if line:
+        print(line)` : `response = requests.post(url, headers=headers, json=body, timeout=600)
+response.raise_for_status()
+print(json.dumps(response.json(), indent=2))`}`;
+}
+
+/**
+ * Work out how an openai SDK client reaches the configured endpoint:
+ * Azure-style {base}/openai/deployments/{deployment}/chat/completions endpoints use the Azure client,
+ * anything else a base URL (gateways take api-version in the query string, like the curl command).
+ * The SDK sends the key itself (api-key header for Azure, Authorization: Bearer otherwise) -
+ * a ?api-key= query or api-key header auth mode is added as a default query / header.
+ * Returns { azure, baseUrl, deployment, defaultQuery, defaultHeaders, host }
+ */
+function getClientSettings(config) {
+    const endpoint = config.apiEndpoint || '';
+    const customHost = config.hostHeader && config.hostHeader !== converter.DEFAULT_CONFIG.hostHeader;
+    const host = customHost ? config.hostHeader : null;
+    const azure = endpoint.match(AZURE_DEPLOYMENT_PATTERN);
+
+    const defaultHeaders = {};
+    if (host) defaultHeaders.Host = host;
+
+    if (azure && config.target !== 'responses') {
+        return {
+            azure: true,
+            baseUrl: azure[1],
+            deployment: azure[2],
+            defaultQuery: null,
+            defaultHeaders: Object.keys(defaultHeaders).length > 0 ? defaultHeaders : null,
+            host: host
+        };
+    }
+
+    let defaultQuery = null;
+    if (config.apiVersion && endpoint) {
+        defaultQuery = { 'api-version': config.apiVersion };
+        if (config.authMode !== 'header' && config.authMode !== 'bearer') {
+            defaultQuery['api-key'] = config.apiKey;
+        }
+    }
+    if (config.authMode === 'header') defaultHeaders['api-key'] = config.apiKey;
+
+    return {
+        azure: false,
+        baseUrl: endpoint.replace(/\/(chat\/completions|responses)\/?$/, '') || 'https://api.openai.com/v1',
+        deployment: azure ? azure[2] : null,
+        defaultQuery: defaultQuery,
+        defaultHeaders: Object.keys(defaultHeaders).length > 0 ? defaultHeaders : null,
+        host: host
+    };
+}
+
+/**
+ * Build the Python openai client constructor: { className, args }
+ */
+function getPythonClient(config, settings) {
+    const args = settings.azure
+        ? {
+            azure_endpoint: settings.baseUrl,
+            azure_deployment: settings.deployment,
+            api_version: config.apiVersion,
+            api_key: config.apiKey
+        }
+        : { base_url: settings.baseUrl, api_key: config.apiKey };
+    if (settings.defaultQuery) args.default_query = settings.defaultQuery;
+    if (settings.defaultHeaders) args.default_headers = settings.defaultHeaders;
+    return { className: settings.azure ? 'AzureOpenAI' : 'OpenAI', args: args };
+}
+
+/**
+ * Generate a Python openai SDK snippet (AzureOpenAI / OpenAI client),
+ * with every request body field passed as a keyword argument
+ */
+function generatePythonSdkSnippet(config, requestBody) {
+    const target = config.target || 'openai';
+    if (target !== 'openai' && target !== 'responses') {
+        return `# The openai SDK snippet is only available for the OpenAI targets.
+# Use the Python (requests) snippet for ${target}.`;
+    }
+
+    const keyedConfig = withApiKeySentinel(config);
+    const settings = getClientSettings(keyedConfig);
+    const client = getPythonClient(keyedConfig, settings);
+    const { model, ...rest } = requestBody;
+    const call = target === 'responses' ? 'client.responses.create' : 'client.chat.completions.create';
+    const result = requestBody.stream ? 'stream' : target === 'responses' ? 'response' : 'completion';
+    const clientArgs = injectKeyReference(toPythonKwargs(client.args), `os.environ[${JSON.stringify(getApiKeyEnv(config))}]`);
+
+    const output = requestBody.stream
+        ? `for event in ${result}:\n    print(event.model_dump_json())`
+        : `print(${result}.model_dump_json(indent=2))`;
+
+    return `${config.apiKeyFromEnv ? 'import os\n\n' : ''}from openai import ${client.className}
+
+client = ${client.className}(
+${clientArgs}
+)
+
+${result} = ${call}(
+${toPythonKwargs({ model: model || config.model || settings.deployment || MODEL_PLACEHOLDER, ...rest })}
+)
+${output}`;
+}
+
+// ============================================
+// JAVASCRIPT / TYPESCRIPT GENERATORS
+// ============================================
+
+/**
+ * Generate a fetch snippet (Node 18+ / browsers, valid JavaScript and TypeScript)
+ * with the same URL and headers as the curl command; streaming requests log the
+ * server-sent event chunks as they arrive
+ */
+function generateFetchSnippet(config, requestBody) {
+    const keyedConfig = withApiKeySentinel(config);
+    const keyReference = `(process.env.${getApiKeyEnv(config)} ?? "")`;
+    const headers = {};
+    let host = null;
+    for (const [name, value] of getRequestHeaders(keyedConfig)) {
+        headers[name] = value;
+        if (name === 'Host') host = value;
+    }
+
+    return `const url = ${injectKeyReference(JSON.stringify(getRequestUrl(keyedConfig)), keyReference)};
+
+const body = ${toJsLiteral(requestBody)};
+
+${host ? JS_HOST_NOTE(host, 'fetch') : ''}const response = await fetch(url, {
+  method: "POST",
+  headers: ${injectKeyReference(toJsLiteral(headers, 1), keyReference)},
+  body: JSON.stringify(body),
+});
+if (!response.ok) {
+  throw new Error(\`HTTP \${response.status}: \${await response.text()}\`);
+}
+${requestBody.stream ? `const reader = response.body?.pipeThrough(new TextDecoderStream()).getReader();
+while (reader) {
+  const { done, value } = await reader.read();
+  if (done) break;
+  console.log(value);
+}` : 'console.log(JSON.stringify(await response.json(), null, 2));'}`;
+}
+
+/**
+ * Generate an openai npm SDK snippet in TypeScript (AzureOpenAI / OpenAI client, typed request params)
+ */
+function generateNodeSdkSnippet(config, requestBody) {
+    const target = config.target || 'openai';
+    if (target !== 'openai' && target !== 'responses') {
+        return `// The openai SDK snippet is only available for the OpenAI targets.
+// Use the fetch snippet for ${target}.`;
+    }
+
+    const keyedConfig = withApiKeySentinel(config);
+    const settings = getClientSettings(keyedConfig);
+    const options = settings.azure
+        ? {
+            endpoint: settings.baseUrl,
+            deployment: settings.deployment,
+            apiVersion: config.apiVersion,
+            apiKey: keyedConfig.apiKey
+        }
+        : { baseURL: settings.baseUrl, apiKey: keyedConfig.apiKey };
+    if (settings.defaultQuery) options.defaultQuery = settings.defaultQuery;
+    if (settings.defaultHeaders) options.defaultHeaders = settings.defaultHeaders;
+
+    const { model, ...rest } = requestBody;
+    const params = { model: model || config.model || settings.deployment || MODEL_PLACEHOLDER, ...rest };
+    const isResponses = target === 'responses';
+    const streaming = params.stream === true ? 'Streaming' : 'NonStreaming';
+    const paramsType = isResponses
+        ? `OpenAI.Responses.ResponseCreateParams${streaming}`
+        : `OpenAI.Chat.ChatCompletionCreateParams${streaming}`;
+    const call = isResponses ? 'client.responses.create' : 'client.chat.completions.create';
+    const result = params.stream === true ? 'stream' : isResponses ? 'response' : 'completion';
+    const output = params.stream === true
+        ? `for await (const event of ${result}) {\n  console.log(JSON.stringify(event));\n}`
+        : `console.log(JSON.stringify(${result}, null, 2));`;
+    const imports = settings.azure ? 'OpenAI, { AzureOpenAI }' : 'OpenAI';
+
+    return `import ${imports} from "openai";
+
+${settings.host ? JS_HOST_NOTE(settings.host, 'the SDK uses fetch, which') : ''}const client = new ${settings.azure ? 'AzureOpenAI' : 'OpenAI'}(${injectKeyReference(toJsLiteral(options), `(process.env.${getApiKeyEnv(config)} ?? "")`)});
+
+const params: ${paramsType} = ${toJsLiteral(params)};
+
+const ${result} = await ${call}(params);
+${output}`;
+}
+
+return {
+    toPythonLiteral,
+    toJsLiteral,
+    generatePythonRequestsSnippet,
+    generatePythonSdkSnippet,
+    generateFetchSnippet,
+    generateNodeSdkSnippet
+};
+});
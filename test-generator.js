@@ -4,6 +4,16 @@
  * Run with: node test-generator.js
  */
 
+const fs = require('fs');
+const {
+    convertTools,
+    buildToolNameMap,
+    convertMessages,
+    generateRequestBody,
+    generateCurlCommand,
+    generatePowerShellCommand
+} = require('./converter');
+
 // ============================================
 // CONFIGURATION
 // ============================================
@@ -88,143 +98,6 @@ const USER_INPUT_TOOLS = [
     }
 ];
 
-// ============================================
-// CONVERTER FUNCTIONS
-// ============================================
-
-/**
- * Convert tools from KeyStudio format to OpenAI format
- * 
- * KeyStudio: { type: "tool", config: { schema: {...} }, alias: "name" }
- * OpenAI:    { type: "function", function: { name, description, parameters } }
- */
-function convertTools(inputTools) {
-    return inputTools.map(tool => {
-        // Already in OpenAI format
-        if (tool.type === 'function' && tool.function) {
-            return tool;
-        }
-        
-        // Convert from KeyStudio format
-        const functionName = tool.alias || tool.name || 'unknown_function';
-        const description = tool.description || '';
-        
-        let parameters = { type: 'object', properties: {}, required: [] };
-        if (tool.config && tool.config.schema) {
-            parameters = tool.config.schema;
-        }
-        
-        return {
-            type: 'function',
-            function: {
-                name: functionName,
-                description: description,
-                parameters: parameters
-            }
-        };
-    });
-}
-
-/**
- * Convert message content from KeyStudio format to OpenAI format
- * KeyStudio format: content can be array [{type: "text", text: "..."}] or string
- * OpenAI format: content is always a string
- */
-function convertMessageContent(content) {
-    // If content is already a string, return as-is
-    if (typeof content === 'string') {
-        return content;
-    }
-    
-    // If content is an array (KeyStudio format with type/text objects)
-    if (Array.isArray(content)) {
-        // Extract text from all text-type objects and join
-        return content
-            .filter(item => item.type === 'text' && item.text)
-            .map(item => item.text)
-            .join('\n');
-    }
-    
-    // Fallback: convert to string
-    return String(content || '');
-}
-
-/**
- * Convert messages array from KeyStudio format to OpenAI format
- * - Converts content arrays to strings
- * - Filters out empty messages
- * - Ensures proper role/content structure
- */
-function convertMessages(inputMessages) {
-    const convertedMessages = [];
-    
-    for (const msg of inputMessages) {
-        const content = convertMessageContent(msg.content);
-        
-        // Skip empty messages
-        if (!content || content.trim() === '') {
-            continue;
-        }
-        
-        convertedMessages.push({
-            role: msg.role,
-            content: content
-        });
-    }
-    
-    return convertedMessages;
-}
-
-/**
- * Generate the full request body for OpenAI API
- */
-function generateRequestBody(config, messages, tools) {
-    return {
-        temperature: config.temperature,
-        top_p: config.topP,
-        tool_choice: config.toolChoice,
-        messages: messages,
-        tools: tools
-    };
-}
-
-/**
- * Generate curl command with full body
- */
-function generateCurlCommand(config, requestBody) {
-    const fullUrl = `${config.apiEndpoint}?api-version=${config.apiVersion}&api-key=${config.apiKey}`;
-    
-    // Pretty print JSON for readability
-    const jsonBody = JSON.stringify(requestBody, null, 4);
-    
-    // Escape single quotes for bash shell
-    const escapedBody = jsonBody.replace(/'/g, "'\\''");
-    
-    return `curl --location '${fullUrl}' \\
---header 'Host: ${config.hostHeader}' \\
---header 'Content-Type: application/json' \\
---data '${escapedBody}'`;
-}
-
-/**
- * Generate PowerShell command
- */
-function generatePowerShellCommand(config, requestBody) {
-    const fullUrl = `${config.apiEndpoint}?api-version=${config.apiVersion}&api-key=${config.apiKey}`;
-    const jsonBody = JSON.stringify(requestBody, null, 2);
-    
-    return `$headers = @{
-    "Host" = "${config.hostHeader}"
-    "Content-Type" = "application/json"
-}
-
-$body = @'
-${jsonBody}
-'@
-
-Invoke-RestMethod -Uri "${fullUrl}" -Method Post -Headers $headers -Body $body`;
-}
-
 // ============================================
 // MAIN EXECUTION
 // ============================================
@@ -237,7 +110,7 @@ console.log("=".repeat(80));
 console.log("\n📥 INPUT MESSAGES (KeyStudio format):");
 console.log(`   Total messages: ${USER_INPUT_MESSAGES.length}`);
 
-const convertedMessages = convertMessages(USER_INPUT_MESSAGES);
+const convertedMessages = convertMessages(USER_INPUT_MESSAGES, buildToolNameMap(USER_INPUT_TOOLS));
 
 console.log("\n📤 CONVERTED MESSAGES (OpenAI format):");
 console.log(`   Total messages (after filtering empty): ${convertedMessages.length}`);
@@ -281,7 +154,6 @@ console.log("-".repeat(80));
 console.log(generatePowerShellCommand(CONFIG, requestBody));
 
 // Step 6: Save files
-const fs = require('fs');
 
 // Save the body JSON
 fs.writeFileSync('body.json', JSON.stringify(requestBody, null, 2));
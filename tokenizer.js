@@ -0,0 +1,379 @@
+/**
+ * LLM CURL GENERATOR - Token Counter
+ * Offline BPE tokenizer for the o200k_base / cl100k_base encodings and a prompt token
+ * estimate for converted (Chat Completions format) messages & tools, plus a cost estimate
+ * from a price table (no DOM access apart from loading the rank files).
+ * Loaded by index.html as a plain <script> (exposes window.TokenCounter) and by the Node
+ * scripts via require('./tokenizer'). The rank tables in vendor/tiktoken/ are only loaded
+ * when an encoding is first used.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TokenCounter = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// ============================================
+// DEFAULTS
+// ============================================
+
+const ENCODINGS = ['o200k_base', 'cl100k_base'];
+
+const RANKS_PATH = 'vendor/tiktoken/';
+
+/**
+ * Default price table: USD per 1M tokens, context window and encoding per model name prefix
+ * (the longest matching prefix wins). Editable in the UI - prices change, check before relying on them.
+ */
+const DEFAULT_PRICE_TABLE = {
+    'gpt-5': { input: 1.25, output: 10, contextWindow: 400000, encoding: 'o200k_base' },
+    'gpt-5-mini': { input: 0.25, output: 2, contextWindow: 400000, encoding: 'o200k_base' },
+    'gpt-5-nano': { input: 0.05, output: 0.4, contextWindow: 400000, encoding: 'o200k_base' },
+    'gpt-4.1': { input: 2, output: 8, contextWindow: 1047576, encoding: 'o200k_base' },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6, contextWindow: 1047576, encoding: 'o200k_base' },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4, contextWindow: 1047576, encoding: 'o200k_base' },
+    'gpt-4o': { input: 2.5, output: 10, contextWindow: 128000, encoding: 'o200k_base' },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, contextWindow: 128000, encoding: 'o200k_base' },
+    'o3': { input: 2, output: 8, contextWindow: 200000, encoding: 'o200k_base' },
+    'o4-mini': { input: 1.1, output: 4.4, contextWindow: 200000, encoding: 'o200k_base' },
+    'gpt-4-turbo': { input: 10, output: 30, contextWindow: 128000, encoding: 'cl100k_base' },
+    'gpt-4': { input: 30, output: 60, contextWindow: 8192, encoding: 'cl100k_base' },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5, contextWindow: 16385, encoding: 'cl100k_base' },
+    'claude-sonnet-4-5': { input: 3, output: 15, contextWindow: 200000, encoding: 'o200k_base' },
+    'gemini-2.5-pro': { input: 1.25, output: 10, contextWindow: 1048576, encoding: 'o200k_base' }
+};
+
+// Chat format overhead: each message is wrapped as <|start|>{role}<|message|>...<|end|>,
+// and the reply is primed with <|start|>assistant<|message|>
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const TOKENS_PER_TOOL_CALL = 3;
+const REPLY_PRIMING_TOKENS = 3;
+
+// Tool definitions are rendered into the prompt as a TypeScript-like namespace;
+// these per-function / per-property overheads follow OpenAI's published estimate
+const TOOL_TOKENS = {
+    functionInit: 7,
+    propertiesInit: 3,
+    propertyKey: 3,
+    enumInit: -3,
+    enumItem: 3,
+    functionsEnd: 12
+};
+
+// An image part is estimated as a 1024x1024 image at high detail (85 base + 4 tiles x 170)
+const IMAGE_TOKENS = 765;
+
+// ============================================
+// ENCODER
+// ============================================
+
+/**
+ * Encode text as UTF-8 and return the bytes as a binary string (one char per byte),
+ * the key format of the rank map
+ */
+function toByteString(text) {
+    const bytes = new TextEncoder().encode(text);
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 1) {
+        result += String.fromCharCode(bytes[i]);
+    }
+    return result;
+}
+
+/**
+ * Min-heap of candidate merges ordered by rank, then by position (the leftmost pair wins a tie)
+ */
+function isBefore(a, b) {
+    return a.rank < b.rank || (a.rank === b.rank && a.start < b.start);
+}
+
+function heapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!isBefore(heap[i], heap[parent])) break;
+        [heap[i], heap[parent]] = [heap[parent], heap[i]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && isBefore(heap[left], heap[smallest])) smallest = left;
+            if (right < heap.length && isBefore(heap[right], heap[smallest])) smallest = right;
+            if (smallest === i) break;
+            [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+/**
+ * Byte pair encoding of one pre-tokenized piece: repeatedly merge the adjacent pair
+ * with the lowest rank (leftmost first) until no pair is in the rank map.
+ * Parts are a linked list of start offsets and candidate pairs sit in a heap, so a merge only
+ * re-ranks its two neighbours (O(n log n) - long runs of one character stay fast).
+ */
+function bytePairEncode(piece, rankMap) {
+    const length = piece.length;
+    // next[i] / prev[i]: start of the following / preceding part of the part starting at i
+    const next = new Int32Array(length + 1);
+    const prev = new Int32Array(length + 1);
+    // Bumped whenever a part changes, so heap entries for its old pair are skipped
+    const version = new Int32Array(length + 1);
+    for (let i = 0; i <= length; i += 1) {
+        next[i] = i + 1;
+        prev[i] = i - 1;
+    }
+
+    const heap = [];
+    const pushPair = (start) => {
+        const end = next[start] < length ? next[next[start]] : length + 1;
+        if (end > length) return;
+        const rank = rankMap.get(piece.slice(start, end));
+        if (rank !== undefined) heapPush(heap, { rank: rank, start: start, version: version[start] });
+    };
+    for (let i = 0; i < length - 1; i += 1) {
+        pushPair(i);
+    }
+
+    while (heap.length > 0) {
+        const merge = heapPop(heap);
+        if (merge.version !== version[merge.start]) continue;
+
+        // Merge the part at merge.start with the one after it
+        const removed = next[merge.start];
+        next[merge.start] = next[removed];
+        if (next[removed] <= length) prev[next[removed]] = merge.start;
+        version[merge.start] += 1;
+        version[removed] += 1;
+
+        pushPair(merge.start);
+        if (prev[merge.start] >= 0) {
+            version[prev[merge.start]] += 1;
+            pushPair(prev[merge.start]);
+        }
+    }
+
+    const tokens = [];
+    for (let i = 0; i < length; i = next[i]) {
+        tokens.push(rankMap.get(piece.slice(i, next[i])));
+    }
+    return tokens;
+}
+
+/**
+ * Build an encoder from a rank table ({ pat_str, special_tokens, bpe_ranks }).
+ * Special tokens in the text are encoded as plain text.
+ * Returns { name, encode(text) → token ids, count(text) → token count }
+ */
+function createEncoder(name, ranks) {
+    const rankMap = new Map();
+    for (const line of ranks.bpe_ranks.split('\n')) {
+        if (!line) continue;
+        // "! {first rank} {base64 token} {base64 token} ..." - consecutive ranks
+        const [, offset, ...tokens] = line.split(' ');
+        const first = parseInt(offset, 10);
+        tokens.forEach((token, i) => rankMap.set(atob(token), first + i));
+    }
+
+    const pattern = new RegExp(ranks.pat_str, 'gu');
+    const pieceCache = new Map();
+
+    const encode = (text) => {
+        const tokens = [];
+        for (const match of String(text || '').matchAll(pattern)) {
+            const piece = toByteString(match[0]);
+            let pieceTokens = pieceCache.get(piece);
+            if (!pieceTokens) {
+                pieceTokens = rankMap.has(piece) ? [rankMap.get(piece)] : bytePairEncode(piece, rankMap);
+                if (pieceCache.size < 50000) pieceCache.set(piece, pieceTokens);
+            }
+            tokens.push(...pieceTokens);
+        }
+        return tokens;
+    };
+
+    return {
+        name: name,
+        encode: encode,
+        count: text => encode(text).length
+    };
+}
+
+const loadedEncoders = {};
+
+/**
+ * Load the rank table of an encoding (Node: require, browser: a <script> from vendor/tiktoken/)
+ */
+function loadRanks(name) {
+    if (typeof document === 'undefined') {
+        return Promise.resolve(require(`./${RANKS_PATH}${name}`));
+    }
+    if (self.TokenizerRanks && self.TokenizerRanks[name]) {
+        return Promise.resolve(self.TokenizerRanks[name]);
+    }
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = `${RANKS_PATH}${name}.js`;
+        script.onload = () => resolve(self.TokenizerRanks[name]);
+        script.onerror = () => reject(new Error(`Could not load the ${name} tokenizer (${script.src})`));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Get the encoder for o200k_base / cl100k_base, loading its rank table on first use
+ * Returns a Promise of the encoder (see createEncoder)
+ */
+function loadEncoding(name) {
+    if (!ENCODINGS.includes(name)) {
+        return Promise.reject(new Error(`Unknown encoding "${name}" - use ${ENCODINGS.join(' or ')}`));
+    }
+    if (!loadedEncoders[name]) {
+        loadedEncoders[name] = loadRanks(name).then(ranks => createEncoder(name, ranks));
+        loadedEncoders[name].catch(() => delete loadedEncoders[name]);
+    }
+    return loadedEncoders[name];
+}
+
+// ============================================
+// CHAT TOKEN COUNT
+// ============================================
+
+/**
+ * Count the tokens of message content (string or content parts).
+ * Images are estimated (IMAGE_TOKENS); audio and file parts are not counted.
+ */
+function countContentTokens(encoder, content) {
+    if (!Array.isArray(content)) return encoder.count(content || '');
+    return content.reduce((sum, part) => {
+        if (part.type === 'text') return sum + encoder.count(part.text);
+        if (part.type === 'image_url') return sum + IMAGE_TOKENS;
+        return sum;
+    }, 0);
+}
+
+/**
+ * Estimate the prompt tokens of tool definitions (Chat Completions tools array)
+ */
+function countToolTokens(encoder, tools) {
+    if (!Array.isArray(tools) || tools.length === 0) return 0;
+
+    let tokens = 0;
+    for (const tool of tools) {
+        const fn = tool.function || {};
+        tokens += TOOL_TOKENS.functionInit;
+        tokens += encoder.count(`${fn.name}:${(fn.description || '').replace(/\.$/, '')}`);
+
+        const properties = (fn.parameters && fn.parameters.properties) || {};
+        if (Object.keys(properties).length === 0) continue;
+
+        tokens += TOOL_TOKENS.propertiesInit;
+        for (const [key, property] of Object.entries(properties)) {
+            tokens += TOOL_TOKENS.propertyKey;
+            if (Array.isArray(property.enum)) {
+                tokens += TOOL_TOKENS.enumInit;
+                for (const item of property.enum) {
+                    tokens += TOOL_TOKENS.enumItem + encoder.count(String(item));
+                }
+            }
+            const type = Array.isArray(property.type) ? property.type.join('|') : property.type || 'any';
+            tokens += encoder.count(`${key}:${type}:${(property.description || '').replace(/\.$/, '')}`);
+            // Nested object / array schemas are not covered by the flat estimate - count them as JSON
+            if (property.properties || property.items) {
+                tokens += encoder.count(JSON.stringify(property.properties || property.items));
+            }
+        }
+    }
+    return tokens + TOOL_TOKENS.functionsEnd;
+}
+
+/**
+ * Estimate the prompt tokens of a Chat Completions request, broken down by
+ * system prompt (system / developer messages), each message, tool results and tool definitions
+ * Returns { encoding, systemPrompt, messages: [{ index, role, tokens }], toolResults, toolDefinitions, total }
+ */
+function countChatTokens(encoder, messages, tools) {
+    const breakdown = {
+        encoding: encoder.name,
+        systemPrompt: 0,
+        messages: [],
+        toolResults: 0,
+        toolDefinitions: countToolTokens(encoder, tools),
+        total: 0
+    };
+
+    messages.forEach((message, index) => {
+        let tokens = TOKENS_PER_MESSAGE + encoder.count(message.role) + countContentTokens(encoder, message.content);
+        if (message.name) tokens += encoder.count(message.name) + TOKENS_PER_NAME;
+        for (const call of message.tool_calls || []) {
+            tokens += TOKENS_PER_TOOL_CALL + encoder.count(call.function.name) + encoder.count(call.function.arguments);
+        }
+
+        breakdown.messages.push({ index: index, role: message.role, tokens: tokens });
+        if (message.role === 'system' || message.role === 'developer') {
+            breakdown.systemPrompt += tokens;
+        } else if (message.role === 'tool') {
+            breakdown.toolResults += tokens;
+        }
+    });
+
+    breakdown.total = breakdown.messages.reduce((sum, message) => sum + message.tokens, 0) +
+        breakdown.toolDefinitions + REPLY_PRIMING_TOKENS;
+    return breakdown;
+}
+
+// ============================================
+// COST ESTIMATE
+// ============================================
+
+/**
+ * Find the price table entry for a model (longest matching name prefix)
+ * Returns { model, input, output, contextWindow, encoding } or null
+ */
+function findModelPricing(priceTable, model) {
+    if (!model) return null;
+    const name = String(model).toLowerCase();
+    const match = Object.keys(priceTable)
+        .filter(key => name.startsWith(key.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? { model: match, ...priceTable[match] } : null;
+}
+
+/**
+ * Estimate the cost in USD of the prompt and of the largest possible completion
+ * Returns { input, maxOutput, total }
+ */
+function estimateCost(pricing, promptTokens, maxOutputTokens) {
+    const input = promptTokens * (pricing.input || 0) / 1e6;
+    const maxOutput = maxOutputTokens * (pricing.output || 0) / 1e6;
+    return { input: input, maxOutput: maxOutput, total: input + maxOutput };
+}
+
+return {
+    ENCODINGS,
+    DEFAULT_PRICE_TABLE,
+    createEncoder,
+    loadEncoding,
+    countToolTokens,
+    countChatTokens,
+    findModelPricing,
+    estimateCost
+};
+});
@@ -0,0 +1,195 @@
+/**
+ * LLM CURL GENERATOR - Tool Mocks
+ * Mock implementations of the converted tools, keyed by tool name, that stand in for the
+ * real backends when an agent loop is simulated: static JSON, results picked by argument
+ * values with {{argument}} templates, or small JS functions (no DOM access).
+ * Loaded by index.html as a plain <script> (exposes window.ToolMocks) and by the Node
+ * scripts via require('./tool-mocks').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ToolMocks = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+/**
+ * Scaffolded mock for a tool without one
+ */
+const DEFAULT_MOCK_RESULT = { status: 'ok' };
+
+// ============================================
+// REGISTRY
+// ============================================
+
+/**
+ * Read a value from the tool arguments by dotted path ("supplier.name")
+ */
+function getArgument(args, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), args);
+}
+
+/**
+ * Fill {{argument}} placeholders in every string of a result
+ * A string that is only a placeholder takes the argument's value as-is (numbers, objects)
+ */
+function fillTemplate(value, args) {
+    if (typeof value === 'string') {
+        const whole = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(value);
+        if (whole) {
+            const arg = getArgument(args, whole[1]);
+            return arg === undefined ? value : arg;
+        }
+        return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const arg = getArgument(args, path);
+            if (arg === undefined) return match;
+            return typeof arg === 'string' ? arg : JSON.stringify(arg);
+        });
+    }
+    if (Array.isArray(value)) return value.map(item => fillTemplate(item, args));
+    if (value && typeof value === 'object') {
+        const filled = {};
+        for (const [key, item] of Object.entries(value)) filled[key] = fillTemplate(item, args);
+        return filled;
+    }
+    return value;
+}
+
+/**
+ * Whether the arguments match a case's "when" values (dotted paths, compared as JSON)
+ */
+function matchesCase(when, args) {
+    return Object.entries(when || {}).every(([path, expected]) =>
+        JSON.stringify(getArgument(args, path)) === JSON.stringify(expected));
+}
+
+/**
+ * Compile a mocks registry into one executor per tool name
+ * Each entry may have:
+ * - cases: [{ when: { argument: value }, result }] - the first case whose values match the arguments
+ * - result: static JSON returned when no case matches
+ * - function: JS function body called as (args, toolName) - its return value is the result
+ * Strings in case / static results may use {{argument}} placeholders.
+ * Functions run synchronously - one returning a Promise (async) fails like a throwing one.
+ * Throws an Error naming the tool when an entry is malformed or its function does not compile.
+ * Returns { [toolName]: args => ({ result, source }) | null } - null when no case or result applies
+ * (a prototype-less object, so "constructor" or "toString" are only tools when mocked)
+ */
+function compileToolMocks(mocks) {
+    if (!mocks || typeof mocks !== 'object' || Array.isArray(mocks)) {
+        throw new Error('Tool mocks must be a JSON object keyed by tool name');
+    }
+
+    const registry = Object.create(null);
+    for (const [toolName, mock] of Object.entries(mocks)) {
+        if (!mock || typeof mock !== 'object' || Array.isArray(mock)) {
+            throw new Error(`Mock for "${toolName}" must be an object with "cases", "result" or "function"`);
+        }
+        const cases = mock.cases || [];
+        if (!Array.isArray(cases) || cases.some(item => !item || typeof item.when !== 'object' || !('result' in item))) {
+            throw new Error(`Mock for "${toolName}": "cases" must be an array of { when, result }`);
+        }
+
+        let fn = null;
+        if (mock.function !== undefined) {
+            try {
+                fn = new Function('args', 'toolName', String(mock.function));
+            } catch (e) {
+                throw new Error(`Mock function for "${toolName}" does not compile: ${e.message}`);
+            }
+        }
+
+        registry[toolName] = args => {
+            const index = cases.findIndex(item => matchesCase(item.when, args));
+            if (index !== -1) return { result: fillTemplate(cases[index].result, args), source: `case ${index + 1}` };
+            if (fn) {
+                const result = fn(args, toolName);
+                if (result && typeof result.then === 'function') {
+                    // Not awaited - keep a rejection from surfacing as unhandled
+                    Promise.resolve(result).catch(() => {});
+                    throw new Error('Mock function returned a Promise - async mocks are not supported, return the result directly');
+                }
+                return { result: result, source: 'function' };
+            }
+            if ('result' in mock) return { result: fillTemplate(mock.result, args), source: 'result' };
+            return null;
+        };
+    }
+    return registry;
+}
+
+/**
+ * Run the mock for a tool call (arguments as the model sent them - a JSON string)
+ * Returns { mocked, content, source, error }:
+ * - mocked: false when the registry has no mock (or no applicable case) for the tool
+ * - content: the tool message content - strings as-is, anything else as JSON
+ * - error: set when the arguments are not JSON, the mock function throws or its result does
+ *   not serialize (circular, BigInt); content then carries { "error": message } so the model
+ *   sees a failing tool
+ */
+function runToolMock(registry, toolName, argumentsString) {
+    const mock = registry[toolName];
+    if (!mock) return { mocked: false, content: '', source: null, error: null };
+
+    const failed = (source, message) => ({ mocked: true, content: JSON.stringify({ error: message }), source: source, error: message });
+
+    let args;
+    try {
+        args = argumentsString ? JSON.parse(argumentsString) : {};
+    } catch (e) {
+        return failed('arguments', `Invalid JSON arguments: ${e.message}`);
+    }
+
+    let outcome;
+    try {
+        outcome = mock(args);
+    } catch (e) {
+        return failed('function', e.message);
+    }
+    if (!outcome) return { mocked: false, content: '', source: null, error: null };
+
+    const result = outcome.result;
+    let content;
+    try {
+        content = typeof result === 'string' ? result : result === undefined ? '' : JSON.stringify(result);
+    } catch (e) {
+        return failed(outcome.source, `Result is not JSON-serializable: ${e.message}`);
+    }
+    return { mocked: true, content: content, source: outcome.source, error: null };
+}
+
+/**
+ * Add a static mock for every converted tool (Chat Completions format) without one
+ * Returns the new mocks object - existing entries are kept as they are
+ */
+function scaffoldToolMocks(tools, mocks) {
+    const scaffolded = { ...(mocks || {}) };
+    for (const tool of tools) {
+        const name = tool.function && tool.function.name;
+        if (name && !Object.prototype.hasOwnProperty.call(scaffolded, name)) {
+            scaffolded[name] = { result: DEFAULT_MOCK_RESULT };
+        }
+    }
+    return scaffolded;
+}
+
+/**
+ * Mocks whose name matches none of the converted tools (usually a renamed or aliased tool)
+ */
+function findUnknownMocks(tools, mocks) {
+    const names = new Set(tools.map(tool => tool.function && tool.function.name));
+    return Object.keys(mocks || {}).filter(name => !names.has(name));
+}
+
+return {
+    DEFAULT_MOCK_RESULT,
+    fillTemplate,
+    compileToolMocks,
+    runToolMock,
+    scaffoldToolMocks,
+    findUnknownMocks
+};
+});